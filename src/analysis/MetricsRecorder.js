@@ -0,0 +1,105 @@
+/**
+ * MetricsRecorder.js
+ *
+ * Time-series recording of simulation metrics
+ *
+ * getMetrics() is a snapshot: it tells you where the system IS, not how it
+ * got there. But the model's claims are about DYNAMICS - escalation,
+ * degradation, recovery. The recorder keeps every step's network-wide
+ * metrics plus per-role and per-tribe breakdowns, so a run can be written up
+ * (and charted) after the fact.
+ *
+ * Storage is a bounded ring buffer: once `capacity` steps are held, each new
+ * step overwrites the oldest. Memory stays flat no matter how long the
+ * simulation runs.
+ */
+
+import { toCSV } from '../io/csv.js';
+
+export class MetricsRecorder {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.capacity] - Maximum number of steps kept (default 10,000)
+   * @param {boolean} [options.breakdowns] - Record per-role/per-tribe breakdowns (default true)
+   */
+  constructor(options = {}) {
+    this.capacity = options.capacity ?? 10000;
+    this.breakdowns = options.breakdowns !== false;
+    this.clear();
+  }
+
+  /**
+   * Drop all recorded history
+   */
+  clear() {
+    this.buffer = new Array(this.capacity);
+    this.start = 0; // Index of the oldest record
+    this.size = 0;
+  }
+
+  /**
+   * Record the generator's current metrics
+   *
+   * @returns {Object} The network-wide metrics (so callers can reuse them)
+   */
+  record(generator) {
+    const metrics = generator.getMetrics();
+    const record = { step: generator.step, ...metrics };
+
+    if (this.breakdowns) {
+      Object.assign(record, generator.getBreakdownMetrics());
+    }
+
+    this.push(record);
+    return metrics;
+  }
+
+  /**
+   * Append a record, overwriting the oldest when full
+   */
+  push(record) {
+    const index = (this.start + this.size) % this.capacity;
+    this.buffer[index] = record;
+
+    if (this.size < this.capacity) {
+      this.size++;
+    } else {
+      this.start = (this.start + 1) % this.capacity;
+    }
+  }
+
+  /**
+   * Records in chronological order
+   */
+  getHistory() {
+    const history = [];
+    for (let i = 0; i < this.size; i++) {
+      history.push(this.buffer[(this.start + i) % this.capacity]);
+    }
+    return history;
+  }
+
+  /**
+   * Most recent record (or null)
+   */
+  getLatest() {
+    if (this.size === 0) return null;
+    return this.buffer[(this.start + this.size - 1) % this.capacity];
+  }
+
+  /**
+   * Values of one top-level metric over time, oldest first
+   */
+  getSeries(metric) {
+    return this.getHistory().map((record) => record[metric]);
+  }
+
+  /**
+   * Full history as CSV (breakdowns become columns like by_role.creator.avg_cognitive_load)
+   */
+  toCSV() {
+    return toCSV(this.getHistory());
+  }
+}
+
+export default MetricsRecorder;
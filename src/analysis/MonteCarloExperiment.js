@@ -0,0 +1,184 @@
+/**
+ * MonteCarloExperiment.js
+ *
+ * THEORETICAL FOUNDATION: A SINGLE RUN IS AN ANECDOTE
+ *
+ * Every network in this model is one draw from a stochastic process: who is
+ * literate, who has aura, which ties form, which content goes out. A single
+ * trajectory cannot tell us whether an outcome (say, runaway polarization in
+ * the algorithmic era) is a property of the ERA or of one lucky seed.
+ *
+ * This module runs N seeded replicates of the same era config for T steps and
+ * summarizes every getMetrics() field at every step across replicates:
+ * mean, standard deviation, quantiles, and a confidence interval for the mean.
+ * The spread between replicates is itself a finding - a wide band on
+ * tribal_polarization means the era is sensitive to initial conditions.
+ *
+ * Replicate i uses seed (base_seed + i), so any individual run can be
+ * reproduced with the CLI or NetworkGenerator directly.
+ */
+
+import { runSimulation, SILENT_LOGGER } from './runner.js';
+import { summarize } from './statistics.js';
+import { flattenRecord, toCSV } from '../io/csv.js';
+
+export class MonteCarloExperiment {
+  /**
+   * @param {Object} options
+   * @param {string} options.era - ERA_CONFIGS key
+   * @param {number} [options.replicates] - Number of seeded runs (default 100)
+   * @param {number} [options.steps] - Update steps per run (default 100)
+   * @param {number} [options.base_seed] - Seed of replicate 0 (default 1)
+   * @param {number} [options.dt] - Time step (default 1)
+   * @param {Object} [options.config] - Era config overrides applied to every run
+   * @param {number[]} [options.quantiles] - Quantile probabilities to report
+   * @param {number} [options.confidence] - Confidence level for the mean CI
+   * @param {Intervention[]} [options.interventions] - Scheduled in every replicate
+   * @param {string} [options.backend] - Generator backend, 'object' or 'typed'
+   * @param {string} [options.precision] - Typed backend precision
+   * @param {FeedRanker|string} [options.feed_ranker] - Feed ranking policy in every replicate
+   * @param {Object} [options.logger] - Generator logger (default silent)
+   */
+  constructor(options = {}) {
+    this.era = options.era;
+    this.replicates = options.replicates ?? 100;
+    this.steps = options.steps ?? 100;
+    this.base_seed = options.base_seed ?? 1;
+    this.dt = options.dt ?? 1;
+    this.config = options.config || {};
+    this.quantiles = options.quantiles || [0.05, 0.25, 0.5, 0.75, 0.95];
+    this.confidence = options.confidence ?? 0.95;
+    this.interventions = options.interventions || [];
+    this.backend = options.backend;
+    this.precision = options.precision;
+    this.feed_ranker = options.feed_ranker;
+    this.logger = options.logger || SILENT_LOGGER;
+
+    // values[metric][step] = array of per-replicate values
+    this.values = {};
+    this.seeds = [];
+    this.summary = null;
+  }
+
+  /**
+   * Seed used for replicate i
+   */
+  seedFor(replicate) {
+    return this.base_seed + replicate;
+  }
+
+  /**
+   * Run all replicates and compute per-step summaries
+   *
+   * @param {Function} [onReplicate] - Called with (index, replicates) after each run
+   * @returns {Object} summary[metric][step] = { n, mean, std, min, max, pXX..., ci_low, ci_high }
+   */
+  run(onReplicate = () => {}) {
+    this.values = {};
+    this.seeds = [];
+
+    for (let r = 0; r < this.replicates; r++) {
+      const seed = this.seedFor(r);
+      this.seeds.push(seed);
+
+      runSimulation({
+        era: this.era,
+        seed,
+        steps: this.steps,
+        dt: this.dt,
+        config: this.config,
+        interventions: this.interventions,
+        backend: this.backend,
+        precision: this.precision,
+        feed_ranker: this.feed_ranker,
+        logger: this.logger
+      }, (record) => this.collect(record));
+
+      onReplicate(r + 1, this.replicates);
+    }
+
+    this.summary = this.summarize();
+    return this.summary;
+  }
+
+  /**
+   * Store one step's metrics (numeric fields only, nested groups flattened)
+   */
+  collect({ step, ...metrics }) {
+    const flat = flattenRecord(metrics);
+
+    Object.entries(flat).forEach(([metric, value]) => {
+      if (typeof value !== 'number') return;
+
+      if (!this.values[metric]) this.values[metric] = [];
+      if (!this.values[metric][step]) this.values[metric][step] = [];
+      this.values[metric][step].push(value);
+    });
+  }
+
+  /**
+   * Summarize every metric at every step
+   */
+  summarize() {
+    const summary = {};
+
+    Object.entries(this.values).forEach(([metric, steps]) => {
+      summary[metric] = steps.map((values) =>
+        summarize(values, { quantiles: this.quantiles, confidence: this.confidence })
+      );
+    });
+
+    return summary;
+  }
+
+  /**
+   * Raw per-replicate values of a metric at a step (for histograms)
+   */
+  getDistribution(metric, step = this.steps) {
+    return (this.values[metric] && this.values[metric][step]) || [];
+  }
+
+  /**
+   * Summary as long-format rows: one row per (step, metric)
+   */
+  toRows() {
+    if (!this.summary) return [];
+
+    const rows = [];
+    for (let step = 0; step <= this.steps; step++) {
+      Object.entries(this.summary).forEach(([metric, steps]) => {
+        if (steps[step]) {
+          rows.push({ step, metric, ...steps[step] });
+        }
+      });
+    }
+    return rows;
+  }
+
+  /**
+   * Summary as CSV (long format, ready for plotting bands per metric)
+   */
+  toCSV() {
+    return toCSV(this.toRows());
+  }
+
+  /**
+   * Summary plus the raw replicate values, with everything needed to rerun
+   */
+  toJSON() {
+    return {
+      era: this.era,
+      replicates: this.replicates,
+      steps: this.steps,
+      dt: this.dt,
+      seeds: this.seeds,
+      config: this.config,
+      confidence: this.confidence,
+      quantiles: this.quantiles,
+      summary: this.summary,
+      values: this.values
+    };
+  }
+}
+
+export default MonteCarloExperiment;
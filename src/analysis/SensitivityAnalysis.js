@@ -0,0 +1,436 @@
+/**
+ * SensitivityAnalysis.js
+ *
+ * THEORETICAL FOUNDATION: WHICH KNOBS ACTUALLY MATTER?
+ *
+ * The era configs encode many theoretical claims as numbers: how inflammatory
+ * content is, how hard the algorithm optimizes for engagement, how tightly
+ * tribes are coupled (k₁, k₂), how fast double binds accumulate stress
+ * (α, β, γ). Some of these numbers drive outcomes; others barely register.
+ * Knowing which is which tells us where the model's argument really rests.
+ *
+ * This module sweeps parameter ranges over the headless core and ranks the
+ * parameters by their influence on chosen metrics. Three designs:
+ *
+ * 1. GRID - full factorial over `levels` values per parameter
+ *    - Easy to read, but runs grow as levels^d
+ *
+ * 2. LATIN HYPERCUBE (McKay, Beckman & Conover, 1979)
+ *    - `samples` points; each parameter's range is cut into `samples` strata
+ *      and every stratum is sampled exactly once
+ *    - Covers the space evenly at any sample size
+ *
+ * For grid and Latin hypercube designs the index is Spearman's rank
+ * correlation between parameter and metric: robust to monotone nonlinearity,
+ * but blind to interactions.
+ *
+ * 3. SOBOL (Saltelli 2002/2010 sampling scheme)
+ *    - Two base matrices A and B of `samples` rows, plus one matrix A_B(i)
+ *      per parameter (A with column i taken from B): samples · (d + 2) runs
+ *    - First-order index S1: share of output variance explained by the
+ *      parameter alone (Saltelli 2010 estimator)
+ *    - Total-order index ST: share including all interactions (Jansen 1999)
+ *    - ST - S1 measures how much a parameter acts through interactions -
+ *      in a cybernetic model, often the interesting part
+ *
+ * Each design point is run with the same seed(s) (common random numbers), so
+ * differences between points come from the parameters, not from the draw of
+ * the network. Use `replicates_per_point` > 1 to average over seeds.
+ */
+
+import { runSimulation, SILENT_LOGGER } from './runner.js';
+import { mean } from './statistics.js';
+import { createSeededRNG } from '../core/random.js';
+import { toCSV } from '../io/csv.js';
+
+/**
+ * Suggested ranges for the parameters most often swept. Any numeric era config
+ * key can be swept; these are the ones the dynamics are most directly built on.
+ *
+ * algorithm_engagement_weight only switches algorithmic ties on (> 0) when the
+ * network is generated, so across this range every run builds the same
+ * network: what varies is its continuous effect on the dynamics (reshare
+ * boost, the feed's pull toward doom-scrolling).
+ */
+export const SWEEPABLE_PARAMETERS = {
+  inflammatory_content_ratio: { min: 0.1, max: 0.9 },
+  algorithm_engagement_weight: { min: 0.1, max: 1.0 },
+  schismogenesis_sample_rate: { min: 0.01, max: 0.1 },
+  schismogenesis_factions: { min: 2, max: 6 }, // Rounded down to a whole number
+  schismogenesis_k1: { min: 0.05, max: 0.3 },
+  schismogenesis_k2: { min: 0.05, max: 0.3 },
+  double_bind_alpha: { min: 0.1, max: 0.5 },
+  double_bind_beta: { min: 0.1, max: 0.4 },
+  double_bind_gamma: { min: 0.02, max: 0.2 },
+  regulatory_feedback_strength: { min: 0, max: 2 },
+  reshare_probability: { min: 0.005, max: 0.05 },
+  tie_cut_rate: { min: 0, max: 0.2 },
+  follow_rate: { min: 0, max: 0.05 },
+  institutional_trust: { min: 0.2, max: 0.8 }
+};
+
+/**
+ * Ranks with ties averaged (for Spearman correlation)
+ */
+function rank(values) {
+  const order = values
+    .map((value, index) => ({ value, index }))
+    .sort((a, b) => a.value - b.value);
+
+  const ranks = new Array(values.length);
+  let i = 0;
+  while (i < order.length) {
+    let j = i;
+    while (j + 1 < order.length && order[j + 1].value === order[i].value) j++;
+    const average_rank = (i + j) / 2 + 1;
+    for (let k = i; k <= j; k++) ranks[order[k].index] = average_rank;
+    i = j + 1;
+  }
+  return ranks;
+}
+
+/**
+ * Pearson correlation (0 when either side is constant)
+ */
+function correlation(xs, ys) {
+  const mx = mean(xs);
+  const my = mean(ys);
+  let sxy = 0;
+  let sxx = 0;
+  let syy = 0;
+  for (let i = 0; i < xs.length; i++) {
+    sxy += (xs[i] - mx) * (ys[i] - my);
+    sxx += (xs[i] - mx) ** 2;
+    syy += (ys[i] - my) ** 2;
+  }
+  if (sxx === 0 || syy === 0) return 0;
+  return sxy / Math.sqrt(sxx * syy);
+}
+
+/**
+ * Population variance
+ */
+function variance(values) {
+  const m = mean(values);
+  return mean(values.map((v) => (v - m) ** 2));
+}
+
+export class SensitivityAnalysis {
+  /**
+   * @param {Object} options
+   * @param {string} options.era - ERA_CONFIGS key
+   * @param {Array<{name: string, min: number, max: number}>} options.parameters
+   *   Parameters to vary (era config keys). min/max default to SWEEPABLE_PARAMETERS.
+   * @param {string[]} options.metrics - getMetrics() fields to analyze
+   * @param {string} [options.design] - 'grid', 'lhs' or 'sobol' (default 'lhs')
+   * @param {number} [options.samples] - LHS points, or Sobol base sample size (default 32)
+   * @param {number} [options.levels] - Grid levels per parameter (default 3)
+   * @param {number} [options.steps] - Update steps per run (default 100)
+   * @param {string} [options.aggregate] - 'final' (last step) or 'mean' (over all steps)
+   * @param {number} [options.base_seed] - Simulation seed (default 1)
+   * @param {number} [options.replicates_per_point] - Seeds averaged per design point (default 1)
+   * @param {number} [options.design_seed] - Seed for the sampling design (default 1)
+   * @param {Object} [options.config] - Fixed config overrides applied to every run
+   * @param {Object} [options.logger] - Generator logger (default silent)
+   */
+  constructor(options = {}) {
+    this.era = options.era;
+    this.parameters = (options.parameters || []).map((parameter) => {
+      const defaults = SWEEPABLE_PARAMETERS[parameter.name] || {};
+      const spec = { ...defaults, ...parameter };
+      if (!Number.isFinite(spec.min) || !Number.isFinite(spec.max)) {
+        throw new Error(`Parameter "${parameter.name}" needs a numeric min and max`);
+      }
+      return spec;
+    });
+    this.metrics = options.metrics || ['tribal_polarization'];
+    this.design = options.design || 'lhs';
+    this.samples = options.samples ?? 32;
+    this.levels = options.levels ?? 3;
+    this.steps = options.steps ?? 100;
+    this.aggregate = options.aggregate || 'final';
+    this.base_seed = options.base_seed ?? 1;
+    this.replicates_per_point = options.replicates_per_point ?? 1;
+    this.design_seed = options.design_seed ?? 1;
+    this.config = options.config || {};
+    this.logger = options.logger || SILENT_LOGGER;
+
+    if (!['grid', 'lhs', 'sobol'].includes(this.design)) {
+      throw new Error(`Unknown design "${this.design}". Expected grid, lhs or sobol`);
+    }
+    if (this.parameters.length === 0) {
+      throw new Error('SensitivityAnalysis needs at least one parameter');
+    }
+
+    this.points = [];   // Parameter values per run
+    this.outputs = [];  // { metric: value } per run
+    this.indices = null;
+  }
+
+  /**
+   * Map a unit-interval sample to a parameter's range
+   */
+  scale(parameter, u) {
+    return parameter.min + u * (parameter.max - parameter.min);
+  }
+
+  /**
+   * Turn a row of unit-interval samples into a { name: value } point
+   */
+  toPoint(unit_row) {
+    const point = {};
+    this.parameters.forEach((parameter, i) => {
+      point[parameter.name] = this.scale(parameter, unit_row[i]);
+    });
+    return point;
+  }
+
+  /**
+   * Full factorial grid
+   */
+  buildGrid() {
+    const axes = this.parameters.map(() =>
+      Array.from({ length: this.levels }, (_, i) =>
+        this.levels === 1 ? 0.5 : i / (this.levels - 1)
+      )
+    );
+
+    let rows = [[]];
+    axes.forEach((axis) => {
+      rows = rows.flatMap((row) => axis.map((u) => [...row, u]));
+    });
+    return rows;
+  }
+
+  /**
+   * Latin hypercube: one sample per stratum per parameter, strata shuffled
+   */
+  buildLatinHypercube(rng) {
+    const n = this.samples;
+    const columns = this.parameters.map(() => {
+      const strata = Array.from({ length: n }, (_, i) => (i + rng()) / n);
+      // Fisher-Yates shuffle
+      for (let i = n - 1; i > 0; i--) {
+        const j = Math.floor(rng() * (i + 1));
+        [strata[i], strata[j]] = [strata[j], strata[i]];
+      }
+      return strata;
+    });
+
+    return Array.from({ length: n }, (_, row) => columns.map((column) => column[row]));
+  }
+
+  /**
+   * Saltelli scheme: rows are A (n), B (n), then A_B(i) (n each)
+   */
+  buildSaltelli(rng) {
+    const n = this.samples;
+    const d = this.parameters.length;
+    const A = Array.from({ length: n }, () => Array.from({ length: d }, () => rng()));
+    const B = Array.from({ length: n }, () => Array.from({ length: d }, () => rng()));
+
+    const rows = [...A, ...B];
+    for (let i = 0; i < d; i++) {
+      A.forEach((a_row, r) => {
+        const ab_row = [...a_row];
+        ab_row[i] = B[r][i];
+        rows.push(ab_row);
+      });
+    }
+    return rows;
+  }
+
+  /**
+   * Build the list of parameter points for the chosen design
+   */
+  buildDesign() {
+    const rng = createSeededRNG(this.design_seed);
+    let unit_rows;
+
+    if (this.design === 'grid') {
+      unit_rows = this.buildGrid();
+    } else if (this.design === 'lhs') {
+      unit_rows = this.buildLatinHypercube(rng);
+    } else {
+      unit_rows = this.buildSaltelli(rng);
+    }
+
+    return unit_rows.map((row) => this.toPoint(row));
+  }
+
+  /**
+   * Run one design point, returning { metric: value }
+   */
+  evaluate(point) {
+    const totals = {};
+    this.metrics.forEach((metric) => { totals[metric] = 0; });
+
+    for (let r = 0; r < this.replicates_per_point; r++) {
+      const sums = {};
+      this.metrics.forEach((metric) => { sums[metric] = 0; });
+      let last = null;
+
+      runSimulation({
+        era: this.era,
+        seed: this.base_seed + r,
+        steps: this.steps,
+        config: { ...this.config, ...point },
+        logger: this.logger
+      }, (record) => {
+        if (record.step === 0) {
+          this.metrics.forEach((metric) => {
+            if (typeof record[metric] !== 'number') {
+              throw new Error(`Unknown or non-numeric metric "${metric}"`);
+            }
+          });
+        }
+        last = record;
+        this.metrics.forEach((metric) => { sums[metric] += record[metric]; });
+      });
+
+      this.metrics.forEach((metric) => {
+        totals[metric] += this.aggregate === 'mean'
+          ? sums[metric] / (this.steps + 1)
+          : last[metric];
+      });
+    }
+
+    const output = {};
+    this.metrics.forEach((metric) => {
+      output[metric] = totals[metric] / this.replicates_per_point;
+    });
+    return output;
+  }
+
+  /**
+   * Run every design point and compute sensitivity indices
+   *
+   * @param {Function} [onRun] - Called with (done, total) after each design point
+   */
+  run(onRun = () => {}) {
+    this.points = this.buildDesign();
+    this.outputs = [];
+
+    this.points.forEach((point, i) => {
+      this.outputs.push(this.evaluate(point));
+      onRun(i + 1, this.points.length);
+    });
+
+    this.indices = this.design === 'sobol'
+      ? this.computeSobolIndices()
+      : this.computeRankCorrelations();
+
+    return this.indices;
+  }
+
+  /**
+   * Spearman rank correlation of each parameter with each metric
+   */
+  computeRankCorrelations() {
+    const indices = {};
+
+    this.metrics.forEach((metric) => {
+      const y_ranks = rank(this.outputs.map((output) => output[metric]));
+      indices[metric] = {};
+
+      this.parameters.forEach((parameter) => {
+        const x_ranks = rank(this.points.map((point) => point[parameter.name]));
+        indices[metric][parameter.name] = { spearman: correlation(x_ranks, y_ranks) };
+      });
+    });
+
+    return indices;
+  }
+
+  /**
+   * First-order (Saltelli 2010) and total-order (Jansen 1999) Sobol indices
+   */
+  computeSobolIndices() {
+    const n = this.samples;
+    const indices = {};
+
+    this.metrics.forEach((metric) => {
+      const y = this.outputs.map((output) => output[metric]);
+      const f_A = y.slice(0, n);
+      const f_B = y.slice(n, 2 * n);
+      const total_variance = variance([...f_A, ...f_B]);
+      indices[metric] = {};
+
+      this.parameters.forEach((parameter, i) => {
+        const f_AB = y.slice((2 + i) * n, (3 + i) * n);
+
+        let first = 0;
+        let total = 0;
+        for (let r = 0; r < n; r++) {
+          first += f_B[r] * (f_AB[r] - f_A[r]);
+          total += (f_A[r] - f_AB[r]) ** 2;
+        }
+
+        indices[metric][parameter.name] = total_variance === 0
+          ? { S1: 0, ST: 0 }
+          : {
+              S1: first / n / total_variance,
+              ST: total / (2 * n) / total_variance
+            };
+      });
+    });
+
+    return indices;
+  }
+
+  /**
+   * Parameters ranked by influence on a metric (most influential first)
+   *
+   * Ranked by |Spearman ρ| for grid/LHS, by ST for Sobol.
+   */
+  rankedTable(metric = this.metrics[0]) {
+    if (!this.indices || !this.indices[metric]) return [];
+
+    const importance = (index) =>
+      this.design === 'sobol' ? index.ST : Math.abs(index.spearman);
+
+    return Object.entries(this.indices[metric])
+      .map(([parameter, index]) => ({ metric, parameter, ...index }))
+      .sort((a, b) => importance(b) - importance(a))
+      .map((row, i) => ({ rank: i + 1, ...row }));
+  }
+
+  /**
+   * Ranked tables for every metric, as CSV
+   */
+  toCSV() {
+    return toCSV(this.metrics.flatMap((metric) => this.rankedTable(metric)));
+  }
+
+  /**
+   * Design points with their outputs, as CSV (for scatter plots)
+   */
+  toRunsCSV() {
+    return toCSV(this.points.map((point, i) => ({ run: i, ...point, ...this.outputs[i] })));
+  }
+
+  /**
+   * Everything needed to reproduce and inspect the sweep
+   */
+  toJSON() {
+    return {
+      era: this.era,
+      design: this.design,
+      parameters: this.parameters,
+      metrics: this.metrics,
+      samples: this.samples,
+      levels: this.levels,
+      steps: this.steps,
+      aggregate: this.aggregate,
+      base_seed: this.base_seed,
+      replicates_per_point: this.replicates_per_point,
+      design_seed: this.design_seed,
+      config: this.config,
+      indices: this.indices,
+      ranked: Object.fromEntries(this.metrics.map((metric) => [metric, this.rankedTable(metric)])),
+      runs: this.points.map((point, i) => ({ ...point, ...this.outputs[i] }))
+    };
+  }
+}
+
+export default SensitivityAnalysis;
@@ -0,0 +1,77 @@
+/**
+ * runner.js
+ *
+ * Headless simulation driver shared by the CLI and experiment modules.
+ * Runs entirely in Node.js (no DOM, no three.js).
+ */
+
+import { NetworkGenerator } from '../core/NetworkGenerator.js';
+
+/**
+ * A logger that discards everything (generation is chatty on console)
+ */
+export const SILENT_LOGGER = { log: () => {} };
+
+/**
+ * Generate a network and run it for a number of steps
+ *
+ * Calls onStep({ step, ...metrics }, generator) for step 0 (the freshly
+ * generated network) and after each of the `steps` updates.
+ *
+ * @param {Object} options
+ * @param {string} options.era - ERA_CONFIGS key
+ * @param {number} options.seed - RNG seed
+ * @param {number} options.steps - Number of update() calls
+ * @param {number} [options.dt] - Time step (default 1)
+ * @param {boolean} [options.layout] - Run force-directed layout (default false)
+ * @param {Object} [options.config] - Era config overrides
+ * @param {string} [options.backend] - 'object' (default) or 'typed' (NodeStore)
+ * @param {string} [options.precision] - Typed backend precision (default 'float32')
+ * @param {FeedRanker|string} [options.feed_ranker] - Smartphone feed ranking (default 'chronological')
+ * @param {Intervention[]} [options.interventions] - Scheduled on the generator
+ * @param {Object} [options.logger] - Generator logger (default silent)
+ * @param {Function} [onStep] - Per-step callback
+ * @returns {NetworkGenerator} The generator after the final step
+ */
+export function runSimulation(
+  {
+    era, seed, steps, dt = 1, layout = false, config, backend, precision, feed_ranker, interventions,
+    logger = SILENT_LOGGER
+  },
+  onStep = () => {}
+) {
+  const generator = new NetworkGenerator(era, seed, {
+    config,
+    logger,
+    run_layout: layout,
+    backend,
+    precision,
+    feed_ranker
+  });
+  generator.generate();
+
+  return advanceSimulation(generator, { steps, dt, interventions }, onStep);
+}
+
+/**
+ * Run an existing generator (fresh or restored from a snapshot) for more steps
+ *
+ * Calls onStep({ step, ...metrics }, generator) for the current step, then
+ * after each update. Step numbers continue from generator.step. `interventions` are
+ * scheduled on the generator first.
+ *
+ * @returns {NetworkGenerator} The same generator
+ */
+export function advanceSimulation(generator, { steps, dt = 1, interventions = [] }, onStep = () => {}) {
+  interventions.forEach((intervention) => generator.scheduleIntervention(intervention));
+
+  onStep({ step: generator.step, ...generator.getMetrics() }, generator);
+  for (let i = 0; i < steps; i++) {
+    generator.update(dt);
+    onStep({ step: generator.step, ...generator.getMetrics() }, generator);
+  }
+
+  return generator;
+}
+
+export default runSimulation;
@@ -0,0 +1,180 @@
+/**
+ * statistics.js
+ *
+ * Descriptive statistics for experiment results (Monte Carlo replicates,
+ * parameter sweeps). Plain functions over arrays of numbers; no dependencies.
+ */
+
+/**
+ * Arithmetic mean
+ */
+export function mean(values) {
+  if (values.length === 0) return NaN;
+  return values.reduce((sum, v) => sum + v, 0) / values.length;
+}
+
+/**
+ * Sample standard deviation (n - 1 denominator)
+ */
+export function standardDeviation(values) {
+  if (values.length < 2) return 0;
+  const m = mean(values);
+  const sum_sq = values.reduce((sum, v) => sum + (v - m) ** 2, 0);
+  return Math.sqrt(sum_sq / (values.length - 1));
+}
+
+/**
+ * Quantile with linear interpolation between order statistics
+ * (Hyndman & Fan type 7, the default in R and NumPy)
+ *
+ * @param {number[]} sorted - Values sorted ascending
+ * @param {number} q - Probability in [0, 1]
+ */
+export function quantileSorted(sorted, q) {
+  if (sorted.length === 0) return NaN;
+  const position = (sorted.length - 1) * q;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  const weight = position - lower;
+  return sorted[lower] * (1 - weight) + sorted[upper] * weight;
+}
+
+/**
+ * Quantile of an unsorted array
+ */
+export function quantile(values, q) {
+  return quantileSorted([...values].sort((a, b) => a - b), q);
+}
+
+/**
+ * Inverse of the standard normal CDF
+ *
+ * Acklam's rational approximation (relative error < 1.15e-9).
+ */
+export function normalQuantile(p) {
+  if (p <= 0) return -Infinity;
+  if (p >= 1) return Infinity;
+
+  const a = [-3.969683028665376e1, 2.209460984245205e2, -2.759285104469687e2,
+    1.383577518672690e2, -3.066479806614716e1, 2.506628277459239];
+  const b = [-5.447609879822406e1, 1.615858368580409e2, -1.556989798598866e2,
+    6.680131188771972e1, -1.328068155288572e1];
+  const c = [-7.784894002430293e-3, -3.223964580411365e-1, -2.400758277161838,
+    -2.549732539343734, 4.374664141464968, 2.938163982698783];
+  const d = [7.784695709041462e-3, 3.224671290700398e-1, 2.445134137142996,
+    3.754408661907416];
+
+  const p_low = 0.02425;
+
+  if (p < p_low) {
+    const q = Math.sqrt(-2 * Math.log(p));
+    return (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+      ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+  }
+
+  if (p > 1 - p_low) {
+    const q = Math.sqrt(-2 * Math.log(1 - p));
+    return -(((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+      ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+  }
+
+  const q = p - 0.5;
+  const r = q * q;
+  return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q /
+    (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+}
+
+/**
+ * Exact two-sided t critical values for df 1-30, by confidence level
+ * (standard tables, three decimals)
+ */
+const T_TABLE = {
+  0.9: [
+    6.314, 2.92, 2.353, 2.132, 2.015, 1.943, 1.895, 1.86, 1.833, 1.812,
+    1.796, 1.782, 1.771, 1.761, 1.753, 1.746, 1.74, 1.734, 1.729, 1.725,
+    1.721, 1.717, 1.714, 1.711, 1.708, 1.706, 1.703, 1.701, 1.699, 1.697
+  ],
+  0.95: [
+    12.706, 4.303, 3.182, 2.776, 2.571, 2.447, 2.365, 2.306, 2.262, 2.228,
+    2.201, 2.179, 2.16, 2.145, 2.131, 2.12, 2.11, 2.101, 2.093, 2.086,
+    2.08, 2.074, 2.069, 2.064, 2.06, 2.056, 2.052, 2.048, 2.045, 2.042
+  ],
+  0.99: [
+    63.657, 9.925, 5.841, 4.604, 4.032, 3.707, 3.499, 3.355, 3.25, 3.169,
+    3.106, 3.055, 3.012, 2.977, 2.947, 2.921, 2.898, 2.878, 2.861, 2.845,
+    2.831, 2.819, 2.807, 2.797, 2.787, 2.779, 2.771, 2.763, 2.756, 2.75
+  ]
+};
+
+/**
+ * Two-sided Student's t critical value
+ *
+ * Exact table values for df 1-30 at 90%, 95% and 99% confidence (the
+ * expansion below is far off at small df: 9.7 instead of 12.71 at df = 1).
+ * Otherwise a Cornish-Fisher expansion around the normal quantile, within
+ * 0.5% of exact for df > 30 and for df >= 3 at other confidence levels.
+ */
+export function tCritical(df, confidence = 0.95) {
+  const z = normalQuantile(1 - (1 - confidence) / 2);
+  if (!Number.isFinite(df) || df <= 0) return z;
+
+  const table = T_TABLE[confidence];
+  if (table && Number.isInteger(df) && df <= table.length) {
+    return table[df - 1];
+  }
+
+  const z3 = z ** 3;
+  const z5 = z ** 5;
+  const z7 = z ** 7;
+
+  return z +
+    (z3 + z) / (4 * df) +
+    (5 * z5 + 16 * z3 + 3 * z) / (96 * df ** 2) +
+    (3 * z7 + 19 * z5 + 17 * z3 - 15 * z) / (384 * df ** 3);
+}
+
+/**
+ * Confidence interval for the mean (t-distribution)
+ */
+export function confidenceInterval(values, confidence = 0.95) {
+  const m = mean(values);
+  if (values.length < 2) return { low: m, high: m };
+
+  const half_width = tCritical(values.length - 1, confidence) *
+    standardDeviation(values) / Math.sqrt(values.length);
+
+  return { low: m - half_width, high: m + half_width };
+}
+
+/**
+ * Format a quantile probability as a column label (0.05 → 'p05', 0.5 → 'p50')
+ */
+export function quantileLabel(q) {
+  const percent = Math.round(q * 1000) / 10;
+  return `p${percent < 10 ? '0' : ''}${percent}`.replace('.', '_');
+}
+
+/**
+ * Summarize a sample: mean, std, min, max, quantiles and CI of the mean
+ */
+export function summarize(values, { quantiles = [0.05, 0.25, 0.5, 0.75, 0.95], confidence = 0.95 } = {}) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const ci = confidenceInterval(values, confidence);
+
+  const summary = {
+    n: values.length,
+    mean: mean(values),
+    std: standardDeviation(values),
+    min: sorted[0],
+    max: sorted[sorted.length - 1]
+  };
+
+  quantiles.forEach((q) => {
+    summary[quantileLabel(q)] = quantileSorted(sorted, q);
+  });
+
+  summary.ci_low = ci.low;
+  summary.ci_high = ci.high;
+
+  return summary;
+}
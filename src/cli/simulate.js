@@ -0,0 +1,388 @@
+#!/usr/bin/env node
+/**
+ * simulate.js
+ *
+ * Headless simulation runner
+ *
+ * Drives NetworkGenerator.generate() and update() from the command line, with
+ * no DOM and no three.js, writing getMetrics() at every step as CSV or JSON.
+ * JSON records also carry the faction distance matrix (faction_distance).
+ * This is the entry point for batching experiments on a server.
+ *
+ * Usage:
+ *   node src/cli/simulate.js --era algorithmic_era --seed 42 --steps 500 --out run.csv
+ *
+ * Step 0 is the freshly generated network; steps 1..N follow each update(dt).
+ *
+ * With --resume snapshot.json, continues a run saved with --export *.json
+ * (era, seed, config and feed ranker come from the snapshot, unless --feed is
+ * given; step numbers continue).
+ *
+ * With --replicates N, runs a Monte Carlo experiment instead (seeds seed..seed+N-1)
+ * and writes per-step distribution summaries of every metric.
+ */
+
+import { parseArgs } from 'node:util';
+import { createWriteStream, writeFileSync, openSync, writeSync, closeSync } from 'node:fs';
+import { extname } from 'node:path';
+import { ERA_CONFIGS } from '../core/config.js';
+import { runSimulation, advanceSimulation } from '../analysis/runner.js';
+import { MonteCarloExperiment } from '../analysis/MonteCarloExperiment.js';
+import { flattenRecord, collectColumns, toCSVLine, formatCell } from '../io/csv.js';
+import { graphMLLines, gexfLines } from '../io/exporters.js';
+import { snapshotLines, loadSnapshot } from '../io/snapshot.js';
+import { INTERVENTIONS } from '../core/Intervention.js';
+import { FEED_RANKERS } from '../core/FeedRanker.js';
+
+/**
+ * Network export writers by file extension
+ */
+const EXPORT_FORMATS = {
+  '.graphml': (generator, path) => writeLines(path, graphMLLines(generator)),
+  '.gexf': (generator, path) => writeLines(path, gexfLines(generator)),
+  '.json': (generator, path) => writeLines(path, snapshotLines(generator))
+};
+
+/**
+ * Write lines to a file in chunks (graph exports can run to millions of lines)
+ */
+function writeLines(path, lines) {
+  const fd = openSync(path, 'w');
+  let chunk = [];
+  try {
+    for (const line of lines) {
+      chunk.push(line);
+      if (chunk.length >= 10000) {
+        writeSync(fd, chunk.join('\n') + '\n');
+        chunk = [];
+      }
+    }
+    if (chunk.length > 0) {
+      writeSync(fd, chunk.join('\n') + '\n');
+    }
+  } finally {
+    closeSync(fd);
+  }
+}
+
+const USAGE = `Usage: simulate [options]
+
+Options:
+  -e, --era <key>       Era config key (default: algorithmic_era)
+  -s, --seed <n>        RNG seed (default: current time)
+  -n, --steps <n>       Number of update steps to run (default: 100)
+      --resume <path>   Continue from a JSON snapshot written by --export
+  -r, --replicates <n>  Run N seeded replicates and write per-step summaries
+                        (mean, std, quantiles, 95% CI) instead of one run
+      --dt <n>          Time step passed to update() (default: 1)
+  -o, --out <path>      Output file (default: stdout)
+      --export <path>   Also write the network after the final step; format from
+                        extension: .graphml, .gexf or .json (lossless snapshot)
+  -f, --format <fmt>    csv or json (default: from --out extension, else csv)
+      --layout          Run the force-directed layout (off by default; positions
+                        do not affect the dynamics)
+      --backend <name>  object (default) or typed (structure-of-arrays node store,
+                        for very large networks)
+      --precision <p>   Typed backend floats: float32 (default) or float64
+      --feed <name[,key=value...]>
+                        Smartphone feed ranking (default: chronological, or
+                        the snapshot's with --resume), e.g.
+                        friction,session_limit=2
+                        Names: ${Object.keys(FEED_RANKERS).join(', ')}
+      --intervention <name@step[,key=value...]>
+                        Schedule an intervention (repeatable), e.g.
+                        feed_friction@100,strength=0.7
+                        Names: ${Object.keys(INTERVENTIONS).join(', ')}
+  -v, --verbose         Print generator progress to stderr
+  -h, --help            Show this help
+
+Eras: ${Object.keys(ERA_CONFIGS).join(', ')}`;
+
+/**
+ * Build an Intervention from "name@step[,key=value...]"
+ */
+function parseIntervention(spec) {
+  const [head, ...params] = spec.split(',');
+  const [name, step_text] = head.split('@');
+
+  const factory = INTERVENTIONS[name];
+  if (!factory) {
+    throw new Error(`Unknown intervention "${name}". Expected one of: ${Object.keys(INTERVENTIONS).join(', ')}`);
+  }
+
+  const step = Number(step_text);
+  if (!Number.isInteger(step) || step < 0) {
+    throw new Error(`--intervention needs a step, as name@step (got "${spec}")`);
+  }
+
+  const options = { step };
+  params.forEach((param) => {
+    const [key, value] = param.split('=');
+    if (!key || value === undefined || !Number.isFinite(Number(value))) {
+      throw new Error(`--intervention parameters must be key=number (got "${param}")`);
+    }
+    options[key] = Number(value);
+  });
+
+  return factory(options);
+}
+
+/**
+ * Build a FeedRanker from "name[,key=value...]"
+ */
+function parseFeedRanker(spec) {
+  const [name, ...params] = spec.split(',');
+
+  const factory = FEED_RANKERS[name];
+  if (!factory) {
+    throw new Error(`Unknown feed ranker "${name}". Expected one of: ${Object.keys(FEED_RANKERS).join(', ')}`);
+  }
+
+  const options = {};
+  params.forEach((param) => {
+    const [key, value] = param.split('=');
+    if (!key || value === undefined || !Number.isFinite(Number(value))) {
+      throw new Error(`--feed parameters must be key=number (got "${param}")`);
+    }
+    options[key] = Number(value);
+  });
+
+  return factory(options);
+}
+
+/**
+ * Parse and validate command-line options
+ */
+function parseOptions(argv) {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      era: { type: 'string', short: 'e', default: 'algorithmic_era' },
+      seed: { type: 'string', short: 's' },
+      steps: { type: 'string', short: 'n', default: '100' },
+      replicates: { type: 'string', short: 'r' },
+      resume: { type: 'string' },
+      dt: { type: 'string', default: '1' },
+      out: { type: 'string', short: 'o' },
+      export: { type: 'string' },
+      format: { type: 'string', short: 'f' },
+      layout: { type: 'boolean', default: false },
+      backend: { type: 'string', default: 'object' },
+      precision: { type: 'string', default: 'float32' },
+      feed: { type: 'string' },
+      intervention: { type: 'string', multiple: true, default: [] },
+      verbose: { type: 'boolean', short: 'v', default: false },
+      help: { type: 'boolean', short: 'h', default: false }
+    }
+  });
+
+  if (values.help) {
+    return { help: true };
+  }
+
+  if (!ERA_CONFIGS[values.era]) {
+    throw new Error(`Unknown era "${values.era}". Expected one of: ${Object.keys(ERA_CONFIGS).join(', ')}`);
+  }
+
+  const steps = Number(values.steps);
+  if (!Number.isInteger(steps) || steps < 0) {
+    throw new Error(`--steps must be a non-negative integer (got "${values.steps}")`);
+  }
+
+  const seed = values.seed === undefined ? null : Number(values.seed);
+  if (seed !== null && (!Number.isInteger(seed) || seed < 0)) {
+    throw new Error(`--seed must be a non-negative integer (got "${values.seed}")`);
+  }
+
+  const replicates = values.replicates === undefined ? null : Number(values.replicates);
+  if (replicates !== null && (!Number.isInteger(replicates) || replicates < 1)) {
+    throw new Error(`--replicates must be a positive integer (got "${values.replicates}")`);
+  }
+
+  const dt = Number(values.dt);
+  if (!Number.isFinite(dt) || dt <= 0) {
+    throw new Error(`--dt must be a positive number (got "${values.dt}")`);
+  }
+
+  if (values.resume && values.replicates !== undefined) {
+    throw new Error('--resume cannot be combined with --replicates');
+  }
+
+  if (values.export && values.replicates !== undefined) {
+    throw new Error('--export cannot be combined with --replicates');
+  }
+
+  if (values.export && !EXPORT_FORMATS[extname(values.export).toLowerCase()]) {
+    throw new Error(`--export path must end in ${Object.keys(EXPORT_FORMATS).join(', ')} (got "${values.export}")`);
+  }
+
+  if (values.backend !== 'object' && values.backend !== 'typed') {
+    throw new Error(`--backend must be object or typed (got "${values.backend}")`);
+  }
+
+  if (values.precision !== 'float32' && values.precision !== 'float64') {
+    throw new Error(`--precision must be float32 or float64 (got "${values.precision}")`);
+  }
+
+  const format = values.format ||
+    (values.out && extname(values.out).toLowerCase() === '.json' ? 'json' : 'csv');
+  if (format !== 'csv' && format !== 'json') {
+    throw new Error(`--format must be csv or json (got "${format}")`);
+  }
+
+  return {
+    era: values.era,
+    seed,
+    steps,
+    replicates,
+    dt,
+    out: values.out || null,
+    export: values.export || null,
+    resume: values.resume || null,
+    format,
+    layout: values.layout,
+    backend: values.backend,
+    precision: values.precision,
+    feed_ranker: values.feed === undefined ? undefined : parseFeedRanker(values.feed),
+    interventions: values.intervention.map(parseIntervention),
+    verbose: values.verbose
+  };
+}
+
+/**
+ * Logger that keeps stdout clean for data output
+ */
+function createLogger(verbose) {
+  return {
+    log: verbose ? (...args) => console.error(...args) : () => {}
+  };
+}
+
+/**
+ * Start a new run, or continue one from --resume
+ */
+function simulate(options, logger, onStep) {
+  if (options.resume) {
+    const generator = loadSnapshot(options.resume, {
+      logger,
+      backend: options.backend,
+      precision: options.precision,
+      feed_ranker: options.feed_ranker
+    });
+    logger.log(`Resuming ${generator.era} (seed ${generator.seed}) from step ${generator.step}`);
+    return advanceSimulation(generator, options, onStep);
+  }
+  return runSimulation({ ...options, logger }, onStep);
+}
+
+/**
+ * Write text to --out or stdout
+ */
+function writeOutput(text, out) {
+  if (out) {
+    writeFileSync(out, text);
+  } else {
+    process.stdout.write(text);
+  }
+}
+
+/**
+ * Run a Monte Carlo experiment and write its summary
+ */
+function runReplicates(options, logger) {
+  const experiment = new MonteCarloExperiment({
+    era: options.era,
+    replicates: options.replicates,
+    steps: options.steps,
+    base_seed: options.seed,
+    dt: options.dt,
+    interventions: options.interventions,
+    backend: options.backend,
+    precision: options.precision,
+    feed_ranker: options.feed_ranker,
+    logger
+  });
+
+  experiment.run((done, total) => logger.log(`Replicate ${done}/${total} complete`));
+
+  if (options.format === 'csv') {
+    writeOutput(experiment.toCSV(), options.out);
+  } else {
+    writeOutput(JSON.stringify(experiment.toJSON(), null, 2) + '\n', options.out);
+  }
+}
+
+/**
+ * CLI entry point
+ */
+function main() {
+  let options;
+  try {
+    options = parseOptions(process.argv.slice(2));
+  } catch (error) {
+    console.error(`Error: ${error.message}\n\n${USAGE}`);
+    process.exit(1);
+  }
+
+  if (options.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  const logger = createLogger(options.verbose);
+
+  // Pick the seed here (rather than in NetworkGenerator) so it can be reported:
+  // an unrecorded seed makes the run impossible to reproduce
+  if (options.seed === null && !options.resume) {
+    options.seed = Date.now();
+    console.error(`Using seed ${options.seed}`);
+  }
+
+  let generator = null;
+
+  if (options.replicates !== null) {
+    runReplicates(options, logger);
+  } else if (options.format === 'csv') {
+    // Write rows as they are produced rather than buffering the run
+    const stream = options.out ? createWriteStream(options.out) : process.stdout;
+    let columns = null;
+
+    generator = simulate(options, logger, (record) => {
+      const row = flattenRecord(record);
+      if (!columns) {
+        columns = collectColumns([row]);
+        stream.write(columns.map(formatCell).join(',') + '\n');
+      }
+      stream.write(toCSVLine(row, columns) + '\n');
+    });
+
+    if (options.out) stream.end();
+  } else {
+    const records = [];
+    generator = simulate(options, logger, (record, current) =>
+      records.push({ ...record, faction_distance: current.calculateFactionDistances() })
+    );
+
+    const output = JSON.stringify({
+      era: generator.era,
+      seed: generator.seed,
+      steps: options.steps,
+      dt: options.dt,
+      config: generator.config,
+      metrics: records
+    }, null, 2);
+
+    writeOutput(output + '\n', options.out);
+  }
+
+  if (options.out) {
+    logger.log(`Wrote ${options.steps + 1} steps to ${options.out}`);
+  }
+
+  if (options.export) {
+    EXPORT_FORMATS[extname(options.export).toLowerCase()](generator, options.export);
+    logger.log(`Exported network to ${options.export}`);
+  }
+}
+
+main();
@@ -0,0 +1,168 @@
+#!/usr/bin/env node
+/**
+ * sweep.js
+ *
+ * Parameter sweep / global sensitivity analysis from the command line
+ *
+ * Usage:
+ *   node src/cli/sweep.js --era social_media --design sobol --samples 64 \
+ *     --param inflammatory_content_ratio --param schismogenesis_k1:0.05:0.3 \
+ *     --metric tribal_polarization --metric percent_in_double_bind --out ranked.csv
+ *
+ * Writes a ranked table (most influential parameter first) per metric.
+ */
+
+import { parseArgs } from 'node:util';
+import { writeFileSync } from 'node:fs';
+import { extname } from 'node:path';
+import { ERA_CONFIGS } from '../core/config.js';
+import { SensitivityAnalysis, SWEEPABLE_PARAMETERS } from '../analysis/SensitivityAnalysis.js';
+
+const USAGE = `Usage: sweep [options]
+
+Options:
+  -e, --era <key>         Era config key (default: social_media)
+  -p, --param <spec>      Parameter to vary, as name or name:min:max (repeatable)
+  -m, --metric <name>     getMetrics() field to analyze (repeatable,
+                          default: tribal_polarization)
+  -d, --design <kind>     grid, lhs or sobol (default: lhs)
+      --samples <n>       LHS points / Sobol base sample size (default: 32)
+      --levels <n>        Grid levels per parameter (default: 3)
+  -n, --steps <n>         Update steps per run (default: 100)
+      --aggregate <how>   final or mean over steps (default: final)
+  -s, --seed <n>          Simulation seed (default: 1)
+      --replicates <n>    Seeds averaged per design point (default: 1)
+      --runs-out <path>   Also write every design point and its outputs as CSV
+  -o, --out <path>        Output file (default: stdout)
+  -f, --format <fmt>      csv or json (default: from --out extension, else csv)
+  -h, --help              Show this help
+
+Parameters with built-in ranges: ${Object.keys(SWEEPABLE_PARAMETERS).join(', ')}`;
+
+/**
+ * Parse "name" or "name:min:max"
+ */
+function parseParameter(spec) {
+  const [name, min, max] = spec.split(':');
+  if (min === undefined) {
+    if (!SWEEPABLE_PARAMETERS[name]) {
+      throw new Error(`No built-in range for "${name}"; use ${name}:min:max`);
+    }
+    return { name };
+  }
+  return { name, min: Number(min), max: Number(max) };
+}
+
+/**
+ * Parse a positive integer option
+ */
+function parseCount(value, flag) {
+  const count = Number(value);
+  if (!Number.isInteger(count) || count < 1) {
+    throw new Error(`${flag} must be a positive integer (got "${value}")`);
+  }
+  return count;
+}
+
+function main() {
+  let values;
+  let parameters;
+  let format;
+  try {
+    ({ values } = parseArgs({
+      args: process.argv.slice(2),
+      options: {
+        era: { type: 'string', short: 'e', default: 'social_media' },
+        param: { type: 'string', short: 'p', multiple: true, default: [] },
+        metric: { type: 'string', short: 'm', multiple: true, default: [] },
+        design: { type: 'string', short: 'd', default: 'lhs' },
+        samples: { type: 'string', default: '32' },
+        levels: { type: 'string', default: '3' },
+        steps: { type: 'string', short: 'n', default: '100' },
+        aggregate: { type: 'string', default: 'final' },
+        seed: { type: 'string', short: 's', default: '1' },
+        replicates: { type: 'string', default: '1' },
+        'runs-out': { type: 'string' },
+        out: { type: 'string', short: 'o' },
+        format: { type: 'string', short: 'f' },
+        help: { type: 'boolean', short: 'h', default: false }
+      }
+    }));
+
+    if (values.help) {
+      console.log(USAGE);
+      return;
+    }
+
+    if (!ERA_CONFIGS[values.era]) {
+      throw new Error(`Unknown era "${values.era}"`);
+    }
+    if (values.param.length === 0) {
+      throw new Error('At least one --param is required');
+    }
+    const steps = Number(values.steps);
+    if (!Number.isInteger(steps) || steps < 0) {
+      throw new Error(`--steps must be a non-negative integer (got "${values.steps}")`);
+    }
+    const seed = Number(values.seed);
+    if (!Number.isInteger(seed) || seed < 0) {
+      throw new Error(`--seed must be a non-negative integer (got "${values.seed}")`);
+    }
+    if (!['final', 'mean'].includes(values.aggregate)) {
+      throw new Error(`--aggregate must be final or mean (got "${values.aggregate}")`);
+    }
+    parameters = values.param.map(parseParameter);
+
+    format = values.format ||
+      (values.out && extname(values.out).toLowerCase() === '.json' ? 'json' : 'csv');
+    if (format !== 'csv' && format !== 'json') {
+      throw new Error(`--format must be csv or json (got "${format}")`);
+    }
+  } catch (error) {
+    console.error(`Error: ${error.message}\n\n${USAGE}`);
+    process.exit(1);
+  }
+
+  let analysis;
+  try {
+    analysis = new SensitivityAnalysis({
+      era: values.era,
+      parameters,
+      metrics: values.metric.length > 0 ? values.metric : undefined,
+      design: values.design,
+      samples: parseCount(values.samples, '--samples'),
+      levels: parseCount(values.levels, '--levels'),
+      steps: Number(values.steps),
+      aggregate: values.aggregate,
+      base_seed: Number(values.seed),
+      replicates_per_point: parseCount(values.replicates, '--replicates')
+    });
+  } catch (error) {
+    console.error(`Error: ${error.message}\n\n${USAGE}`);
+    process.exit(1);
+  }
+
+  // An unknown --metric only shows once the first run reports its metrics
+  try {
+    analysis.run((done, total) => console.error(`Design point ${done}/${total} complete`));
+  } catch (error) {
+    console.error(`Error: ${error.message}\n\n${USAGE}`);
+    process.exit(1);
+  }
+
+  const output = format === 'json'
+    ? JSON.stringify(analysis.toJSON(), null, 2) + '\n'
+    : analysis.toCSV();
+
+  if (values.out) {
+    writeFileSync(values.out, output);
+  } else {
+    process.stdout.write(output);
+  }
+
+  if (values['runs-out']) {
+    writeFileSync(values['runs-out'], analysis.toRunsCSV());
+  }
+}
+
+main();
@@ -0,0 +1,270 @@
+/**
+ * CascadeTracker.js
+ *
+ * THEORETICAL FOUNDATION: VIRALITY AS STRUCTURE, NOT SIZE
+ *
+ * A post does not stop at its creator's audience: recipients pass it on, and
+ * their recipients pass it on again. Each post's spread is a CASCADE - a tree
+ * whose root is the creator and whose branches are the hops the content took.
+ *
+ * Goel, Anderson, Hofman & Watts ("The Structural Virality of Online
+ * Diffusion", 2016) showed that two cascades of the same size can be very
+ * different things. A broadcast reaches a thousand people in one hop (a star);
+ * a viral cascade reaches them through long chains of person-to-person sharing.
+ * They measure the difference with STRUCTURAL VIRALITY - the mean distance
+ * between all pairs of nodes in the cascade tree:
+ *
+ *   ν(T) = 1 / (n(n-1)) · Σᵢ Σⱼ dᵢⱼ
+ *
+ * ν ≈ 2 for a star (everyone is two hops from everyone else via the root),
+ * growing with depth for chains of resharing.
+ *
+ * For every cascade this tracker records:
+ * - size: nodes reached (the root included)
+ * - depth: the longest chain of hops from the root
+ * - lifetime: steps between the post and the last node it reached
+ * - structural virality: ν of the reception tree
+ * - reshares: how many recipients passed it on
+ *
+ * A cascade is live while any copy of its content is waiting in a buffer or
+ * a reshare is waiting to be sent. When the last one is consumed (or dropped)
+ * it is complete: its record joins the history and the running totals.
+ *
+ * The tracker only keeps the books. Who receives what and who reshares is
+ * decided by NetworkGenerator (and mirrored by NodeStore).
+ */
+
+/**
+ * Completed cascade records kept (oldest dropped first)
+ */
+const HISTORY_LIMIT = 1000;
+
+export class CascadeTracker {
+  constructor() {
+    this.next_id = 0;
+    this.active = new Map(); // cascade id → live cascade
+    this.reshares = []; // { node, content } waiting to travel on the next step
+    this.history = []; // Completed cascade records, most recent last
+
+    // Running totals over every completed cascade
+    this.totals = {
+      completed: 0,
+      size: 0,
+      depth: 0,
+      lifetime: 0,
+      structural_virality: 0,
+      max_size: 0,
+      max_depth: 0
+    };
+  }
+
+  /**
+   * Open a cascade for a new post; tags the content with its id
+   */
+  start(origin, content, step) {
+    const cascade = {
+      id: this.next_id++,
+      origin,
+      type: content.type,
+      start_step: step,
+      last_step: step,
+      pending: 0, // Deliveries not yet consumed + reshares not yet sent
+      reshares: 0,
+      // Reception tree in order of first arrival (the root first)
+      nodes: [origin],
+      parents: [-1],
+      depths: [0],
+      considered: [1], // Decided whether to reshare (the root never does)
+      index: new Map([[origin, 0]])
+    };
+
+    this.active.set(cascade.id, cascade);
+    content.cascade_id = cascade.id;
+    return cascade;
+  }
+
+  /**
+   * Live cascade of a piece of content (null for untracked content)
+   */
+  get(content) {
+    return content.cascade_id == null ? null : this.active.get(content.cascade_id) || null;
+  }
+
+  /**
+   * One copy of the content delivered from sender to target
+   *
+   * The first arrival at a node adds it to the tree, below the sender.
+   */
+  deliver(cascade, sender, target, step) {
+    cascade.pending++;
+    if (cascade.index.has(target)) return;
+
+    const parent = cascade.index.get(sender);
+    cascade.index.set(target, cascade.nodes.length);
+    cascade.nodes.push(target);
+    cascade.parents.push(parent);
+    cascade.depths.push(cascade.depths[parent] + 1);
+    cascade.considered.push(0);
+    cascade.last_step = step;
+  }
+
+  /**
+   * One copy consumed by a node
+   *
+   * @returns {boolean} Whether this is the node's first chance to reshare
+   */
+  consume(cascade, node) {
+    cascade.pending--;
+
+    const index = cascade.index.get(node);
+    if (index === undefined || cascade.considered[index]) return false;
+    cascade.considered[index] = 1;
+    return true;
+  }
+
+  /**
+   * One copy dropped unread by an overloaded node (it never gets the chance
+   * to reshare)
+   */
+  drop(cascade) {
+    cascade.pending--;
+  }
+
+  /**
+   * Queue a reshare for the next step
+   */
+  queueReshare(cascade, node, content) {
+    cascade.pending++;
+    cascade.reshares++;
+    this.reshares.push({ node, content });
+  }
+
+  /**
+   * Reshares queued so far, in order; the queue is emptied
+   */
+  takeReshares() {
+    const reshares = this.reshares;
+    this.reshares = [];
+    return reshares;
+  }
+
+  /**
+   * A queued reshare has been sent (its deliveries are counted separately)
+   */
+  sent(cascade) {
+    cascade.pending--;
+  }
+
+  /**
+   * Complete every cascade with nothing left in flight
+   */
+  settle() {
+    this.active.forEach((cascade, id) => {
+      if (cascade.pending > 0) return;
+
+      this.active.delete(id);
+      this.record(cascade);
+    });
+  }
+
+  record(cascade) {
+    const depth = cascade.depths.reduce((max, d) => Math.max(max, d), 0);
+    const record = {
+      id: cascade.id,
+      origin: cascade.origin,
+      type: cascade.type,
+      start_step: cascade.start_step,
+      size: cascade.nodes.length,
+      depth,
+      lifetime: cascade.last_step - cascade.start_step,
+      reshares: cascade.reshares,
+      structural_virality: this.structuralVirality(cascade)
+    };
+
+    this.history.push(record);
+    if (this.history.length > HISTORY_LIMIT) {
+      this.history.shift();
+    }
+
+    const totals = this.totals;
+    totals.completed++;
+    totals.size += record.size;
+    totals.depth += record.depth;
+    totals.lifetime += record.lifetime;
+    totals.structural_virality += record.structural_virality;
+    totals.max_size = Math.max(totals.max_size, record.size);
+    totals.max_depth = Math.max(totals.max_depth, record.depth);
+  }
+
+  /**
+   * Mean pairwise distance in the reception tree (0 for a lone root)
+   *
+   * Each tree edge lies on the path between the s nodes below it and the
+   * n - s nodes above, so Σ dᵢⱼ over unordered pairs = Σ s·(n - s).
+   */
+  structuralVirality(cascade) {
+    const n = cascade.nodes.length;
+    if (n < 2) return 0;
+
+    // Children always arrive after their parent: sum subtree sizes backwards
+    const subtree = new Array(n).fill(1);
+    let distance = 0;
+    for (let i = n - 1; i > 0; i--) {
+      distance += subtree[i] * (n - subtree[i]);
+      subtree[cascade.parents[i]] += subtree[i];
+    }
+
+    return (2 * distance) / (n * (n - 1));
+  }
+
+  /**
+   * Cascade metrics (averages over every completed cascade)
+   */
+  getMetrics() {
+    const { completed, size, depth, lifetime, structural_virality, max_size, max_depth } = this.totals;
+    const average = (sum) => (completed === 0 ? 0 : sum / completed);
+
+    return {
+      active_cascades: this.active.size,
+      completed_cascades: completed,
+      avg_cascade_size: average(size),
+      max_cascade_size: max_size,
+      avg_cascade_depth: average(depth),
+      max_cascade_depth: max_depth,
+      avg_cascade_lifetime: average(lifetime),
+      avg_structural_virality: average(structural_virality)
+    };
+  }
+
+  /**
+   * JSON-safe state (for snapshots)
+   */
+  serialize() {
+    return {
+      next_id: this.next_id,
+      active: [...this.active.values()].map(({ index, ...cascade }) => cascade),
+      reshares: this.reshares,
+      history: this.history,
+      totals: this.totals
+    };
+  }
+
+  /**
+   * Replace this tracker's state with serialize() output
+   */
+  restore(state) {
+    this.next_id = state.next_id;
+    this.active = new Map(
+      state.active.map((cascade) => [
+        cascade.id,
+        { ...cascade, index: new Map(cascade.nodes.map((node, i) => [node, i])) }
+      ])
+    );
+    this.reshares = state.reshares;
+    this.history = state.history;
+    this.totals = state.totals;
+    return this;
+  }
+}
+
+export default CascadeTracker;
@@ -0,0 +1,143 @@
+/**
+ * FeedRanker.js
+ *
+ * THEORETICAL FOUNDATION: THE ALGORITHM IS AN EDITOR
+ *
+ * A node can only attend to a few pieces of content per step (Miller's
+ * limit - information_processing_rate). Whoever decides WHICH few shapes
+ * what the node thinks the world is like. In oral and print cultures that is
+ * arrival order - who spoke first, what was on the doorstep. On a smartphone
+ * it is a ranking policy, written to serve the platform.
+ *
+ * A FeedRanker reorders each smartphone user's buffered content every step;
+ * the user then consumes from the top. Holding everything else constant and
+ * swapping the ranker isolates what the ranking policy itself does:
+ *
+ * - chronological: arrival order (no ranking - the baseline)
+ * - engagement: predicted engagement first - outrage draws twice the
+ *   engagement, identity (tribally marked) content half again as much
+ * - bridging: content that crosses tribal lines and challenges understanding
+ *   first; ragebait and in-group confirmation last (bridging-based ranking,
+ *   Ovadya & Thorburn, 2023)
+ * - friction: engagement ranking under a time limit - each session shows at
+ *   most session_limit items, the rest waits
+ *
+ * Custom rankers: pass a score function to the constructor, or subclass and
+ * override rank(). Rankers hold no per-run state and draw no random numbers.
+ */
+
+export class FeedRanker {
+  /**
+   * @param {Object} options
+   * @param {string} options.name
+   * @param {Function} [options.score] - (content, viewer) → number; higher is
+   *   shown first, ties keep arrival order. Omit for arrival order.
+   * @param {number} [options.session_limit] - Most items shown per step
+   *   (default: no limit beyond the node's processing rate)
+   */
+  constructor({ name, score = null, session_limit = null }) {
+    if (!name) {
+      throw new Error('FeedRanker requires a name');
+    }
+
+    this.name = name;
+    this.score = score;
+    this.session_limit = session_limit;
+  }
+
+  /**
+   * Order a feed for one viewer
+   *
+   * @param {Object[]} feed - Buffered content, oldest first
+   * @param {Object} viewer - { id, tribe } of the node whose feed it is
+   * @returns {Object[]} The feed in the order shown (the same array when unchanged)
+   */
+  rank(feed, viewer) {
+    if (!this.score || feed.length < 2) return feed;
+
+    return feed
+      .map((content, index) => ({ content, index, score: this.score(content, viewer) }))
+      .sort((a, b) => b.score - a.score || a.index - b.index)
+      .map(({ content }) => content);
+  }
+}
+
+/**
+ * Whether content carries the viewer's own tribal marker
+ */
+function inGroup(content, viewer) {
+  return content.tribal_marker != null && content.tribal_marker === viewer.tribe;
+}
+
+/**
+ * Arrival order
+ */
+export function chronologicalRanker() {
+  return new FeedRanker({ name: 'chronological' });
+}
+
+/**
+ * Predicted engagement: ragebait × 2, tribally marked content × 1.5
+ */
+export function engagementRanker() {
+  return new FeedRanker({
+    name: 'engagement',
+    score: (content) =>
+      (content.type === 'ragebait' ? 2 : 1) * (content.tribal_marker != null ? 1.5 : 1)
+  });
+}
+
+/**
+ * Bridging: reward content that challenges the viewer across tribal lines,
+ * novelty and actionability; penalize ragebait and in-group confirmation
+ */
+export function bridgingRanker() {
+  return new FeedRanker({
+    name: 'bridging',
+    score: (content, viewer) => {
+      let score = 0;
+      if (content.challenges_understanding && !inGroup(content, viewer)) score += 1;
+      score += content.novelty * 0.5;
+      if (content.actionable) score += 0.2;
+      if (content.type === 'ragebait') score -= 1;
+      if (inGroup(content, viewer)) score -= 0.5;
+      return score;
+    }
+  });
+}
+
+/**
+ * Engagement ranking with a time limit on each session
+ *
+ * @param {Object} [options]
+ * @param {number} [options.session_limit] - Items shown per step (default 1)
+ */
+export function frictionRanker({ session_limit = 1 } = {}) {
+  const engagement = engagementRanker();
+  return new FeedRanker({ name: 'friction', score: engagement.score, session_limit });
+}
+
+/**
+ * Named ranker factories (CLI: --feed name[,key=value])
+ */
+export const FEED_RANKERS = {
+  chronological: chronologicalRanker,
+  engagement: engagementRanker,
+  bridging: bridgingRanker,
+  friction: frictionRanker
+};
+
+/**
+ * A FeedRanker from a name (anything with a rank() method is returned as is)
+ */
+export function createFeedRanker(ranker, options = {}) {
+  if (ranker && typeof ranker.rank === 'function') return ranker;
+
+  const factory = FEED_RANKERS[ranker];
+  if (!factory) {
+    throw new Error(`Unknown feed ranker: ${ranker}`);
+  }
+  return factory(options);
+}
+
+export default FeedRanker;
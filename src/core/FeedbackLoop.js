@@ -82,6 +82,9 @@ export class FeedbackLoop {
 
     // Active state
     this.active = true;
+
+    // Random source (the generator's seeded RNG, for reproducible trajectories)
+    this.rng = config.rng || Math.random;
   }
 
   /**
@@ -178,7 +181,7 @@ export class FeedbackLoop {
       // CRITICAL: Initialize with small random value to kick off dynamics
       // Otherwise dX/dt = k1*0 = 0 forever
       // This models the "spark" that ignites polarization
-      this.source.schismogenesis_state.X = Math.random() * 0.05; // 0 to 0.05
+      this.source.schismogenesis_state.X = this.rng() * 0.05; // 0 to 0.05
     }
 
     if (!this.target.schismogenesis_state.type) {
@@ -186,7 +189,7 @@ export class FeedbackLoop {
       this.target.schismogenesis_state.k1 = this.k1;
       this.target.schismogenesis_state.k2 = this.k2;
       // CRITICAL: Initialize with small random value
-      this.target.schismogenesis_state.X = Math.random() * 0.05;
+      this.target.schismogenesis_state.X = this.rng() * 0.05;
     }
 
     // Link the escalation levels (source.X influences target.Y and vice versa)
@@ -200,27 +203,45 @@ export class FeedbackLoop {
 
   /**
    * Complementary schismogenesis: dX/dt = k₁·Y, dY/dt = -k₂·X
-   * Differentiation: source dominates, target submits (or vice versa)
+   * Differentiation: source dominates, target submits
+   *
+   * The source (a broadcaster or hub) carries the pair's equations:
+   * X = its dominance, Y = its audience's standing. Starting from parity
+   * (0.5 each, plus a small spark of display), dominance grows on the
+   * audience's standing while that standing erodes under dominance - until
+   * the audience has none left.
+   *
+   * The target (a follower) mirrors the pair rather than integrating it: its
+   * X is submission - parity plus the standing its leader has taken since
+   * (0.5 - Y), scaled by the loop's strength so that a loosely attached
+   * follower gives up less - and its Y the dominance it faces. A follower of
+   * several leaders takes the strongest of each, whatever order the loops
+   * run in.
    */
   executeComplementarySchismogenesis() {
-    // Set up schismogenesis state
-    if (!this.source.schismogenesis_state.type) {
-      this.source.schismogenesis_state.type = 'complementary';
-      this.source.schismogenesis_state.k1 = this.k1;
-      this.source.schismogenesis_state.k2 = this.k2;
+    const leader = this.source.schismogenesis_state;
+    const follower = this.target.schismogenesis_state;
+
+    if (!leader.type) {
+      leader.type = 'complementary';
+      leader.complementary_position = 'dominant';
+      leader.k1 = this.k1;
+      leader.k2 = this.k2;
+      leader.X = 0.5 + this.rng() * 0.05; // Parity plus the spark of display
+      leader.Y = 0.5;
     }
 
-    if (!this.target.schismogenesis_state.type) {
-      this.target.schismogenesis_state.type = 'complementary';
-      this.target.schismogenesis_state.k1 = this.k1;
-      this.target.schismogenesis_state.k2 = this.k2;
+    if (!follower.type) {
+      follower.type = 'complementary';
+      follower.complementary_position = 'submissive';
+      follower.k1 = this.k1;
+      follower.k2 = this.k2;
+      follower.X = 0.5 + (0.5 - leader.Y) * this.strength;
+      follower.Y = leader.X;
+    } else if (follower.complementary_position === 'submissive') {
+      follower.X = Math.max(follower.X, 0.5 + (0.5 - leader.Y) * this.strength);
+      follower.Y = Math.max(follower.Y, leader.X);
     }
-
-    // Link escalation levels (complementary: negative coupling)
-    this.target.schismogenesis_state.Y = this.source.schismogenesis_state.X;
-    this.source.schismogenesis_state.Y = this.target.schismogenesis_state.X;
-
-    // The negative coupling is handled in the differential equation itself
   }
 
   /**
@@ -232,8 +253,11 @@ export class FeedbackLoop {
     this.target.emotional_state += this.source.emotional_state * amplification;
     this.target.emotional_state = Math.min(1, this.target.emotional_state);
 
-    // Amplify cognitive load
-    this.target.cognitive_load += this.source.cognitive_load * amplification * 0.1;
+    // Amplify cognitive load (up to capacity)
+    this.target.cognitive_load = Math.min(
+      this.target.cognitive_capacity,
+      this.target.cognitive_load + this.source.cognitive_load * amplification * 0.1
+    );
   }
 
   /**
@@ -362,7 +386,7 @@ export class FeedbackLoop {
     // POSITIVE FEEDBACK: Financial precarity drives more performance
     if (this.target.financial_precarity && !this.target.performing_aura) {
       // Precarity forces resumption of performance
-      if (Math.random() < 0.1) { // 10% chance per update to restart
+      if (this.rng() < 0.1) { // 10% chance per update to restart
         this.target.performing_aura = true;
       }
     }
@@ -379,8 +403,9 @@ export class FeedbackLoop {
       // Burnout probability scales with fatigue
       const burnout_probability = (this.target.performance_fatigue - 0.8) * 0.5;
 
-      if (Math.random() < burnout_probability * this.strength) {
+      if (this.rng() < burnout_probability * this.strength) {
         // BURNOUT: Stop performing, lose half of parasocial followers
+        // (their ties go at the next rewiring - NetworkGenerator.rewireNetwork)
         this.target.performing_aura = false;
         this.target.parasocial_followers = Math.floor(this.target.parasocial_followers * 0.5);
         this.target.follower_count = this.target.embodied_followers + this.target.parasocial_followers;
@@ -398,9 +423,12 @@ export class FeedbackLoop {
       }
     }
 
-    // COGNITIVE LOAD: Performance creates ongoing cognitive burden
+    // COGNITIVE LOAD: Performance creates ongoing cognitive burden (up to capacity)
     if (this.target.performing_aura) {
-      this.target.cognitive_load += this.target.follower_count * 0.00001 * this.strength;
+      this.target.cognitive_load = Math.min(
+        this.target.cognitive_capacity,
+        this.target.cognitive_load + this.target.follower_count * 0.00001 * this.strength
+      );
     }
   }
 
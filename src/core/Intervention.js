@@ -0,0 +1,321 @@
+/**
+ * Intervention.js
+ *
+ * THEORETICAL FOUNDATION: CHANGING THE RULES MID-GAME
+ *
+ * The model argues that schismogenesis and double binds are properties of the
+ * MEDIA ECOLOGY, not of the people caught in them. The test of that claim is
+ * to change the ecology while a run is under way and watch what follows.
+ * Algorithm.md ("Intervention Dynamics") names the levers:
+ *
+ * 1. BREAKING SCHISMOGENESIS - reduce the coupling constants
+ *      k₁_new = k₁ · (1 - intervention_strength)
+ *      k₂_new = k₂ · (1 - intervention_strength)
+ *    e.g. removing algorithmic amplification (~50%)
+ *
+ * 2. CROSS-TRIBAL DIALOGUE SPACES - introduce negative feedback between
+ *    members of opposing tribes
+ *
+ * 3. ESCAPING DOUBLE BINDS - provide an alternative connection path (offline
+ *    social life), removing the tertiary injunction "you cannot leave":
+ *      stress_relief_rate = β · 2
+ *
+ * 4. FEED FRICTION - less inflammatory content, weaker algorithmic loops
+ *
+ * An Intervention is a named, scheduled list of effects. Each effect modifies
+ * feedback loops, nodes or the era config; applying it returns a log entry
+ * recording what was changed. Interventions hold no per-run state, so one
+ * instance can be scheduled on any number of generators (e.g. every replicate
+ * of a Monte Carlo experiment).
+ */
+
+import FeedbackLoop from './FeedbackLoop.js';
+
+/**
+ * A config change value is either the new value or a function old → new
+ */
+function resolveChange(change, old_value) {
+  return typeof change === 'function' ? change(old_value) : change;
+}
+
+export class Intervention {
+  /**
+   * @param {Object} options
+   * @param {string} options.name - Shown in logs
+   * @param {number} [options.step] - Simulation step at which it takes effect
+   *   (applied before that step's update; default 0)
+   * @param {string} [options.description]
+   * @param {Object[]} options.effects - Applied in order, each one of:
+   *   - { target: 'feedback_loops', label, filter?(loop, generator), modify?(loop, generator),
+   *       create?(generator) → FeedbackLoop[] }
+   *   - { target: 'nodes', label, filter?(node, generator), modify(node, generator) }
+   *   - { target: 'config', label, changes: { key: value | (old) => new } }
+   */
+  constructor({ name, step = 0, description = '', effects = [] }) {
+    if (!name) {
+      throw new Error('Intervention requires a name');
+    }
+
+    effects.forEach((effect) => {
+      if (!['feedback_loops', 'nodes', 'config'].includes(effect.target)) {
+        throw new Error(`Unknown intervention target: ${effect.target}`);
+      }
+    });
+
+    this.name = name;
+    this.step = step;
+    this.description = description;
+    this.effects = effects;
+  }
+
+  /**
+   * Apply every effect to a generator
+   *
+   * @returns {Object} Log entry: { name, step, description, effects: [...] }
+   *   where each effect reports { target, label, count?, created? } (loops or
+   *   nodes modified; loops created) or { target, label, changes: { key: { from, to } } }
+   */
+  apply(generator) {
+    return {
+      name: this.name,
+      step: generator.step,
+      description: this.description,
+      effects: this.effects.map((effect) => this.applyEffect(effect, generator))
+    };
+  }
+
+  applyEffect(effect, generator) {
+    const label = effect.label || effect.target;
+
+    if (effect.target === 'config') {
+      const changes = {};
+      Object.entries(effect.changes).forEach(([key, change]) => {
+        const from = generator.config[key];
+        const to = resolveChange(change, from);
+        generator.config[key] = to;
+        changes[key] = { from, to };
+      });
+      return { target: 'config', label, changes };
+    }
+
+    if (effect.target === 'nodes') {
+      let count = 0;
+      generator.nodes.forEach((node) => {
+        if (effect.filter && !effect.filter(node, generator)) return;
+        effect.modify(node, generator);
+        count++;
+      });
+      return { target: 'nodes', label, count };
+    }
+
+    // feedback_loops: modify existing loops, then add any new ones
+    const entry = { target: 'feedback_loops', label };
+    if (effect.modify) {
+      entry.count = 0;
+      generator.feedback_loops.forEach((loop) => {
+        if (effect.filter && !effect.filter(loop, generator)) return;
+        effect.modify(loop, generator);
+        entry.count++;
+      });
+    }
+
+    if (effect.create) {
+      const created = effect.create(generator);
+      generator.feedback_loops.push(...created);
+      entry.created = created.length;
+    }
+
+    return entry;
+  }
+}
+
+/**
+ * Reduce schismogenesis coupling: k₁, k₂ × (1 - strength)
+ *
+ * Applies to schismogenetic feedback loops (which seed nodes that join later)
+ * and to the coupling constants of nodes already escalating.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.step]
+ * @param {number} [options.strength] - 0 (no change) to 1 (decoupled); default 0.5
+ * @param {string} [options.medium] - Only loops of this medium, and nodes
+ *   escalating through one (default: all)
+ */
+export function reduceCoupling({ step = 0, strength = 0.5, medium = null } = {}) {
+  const factor = 1 - strength;
+  const applies = (loop) => loop.schismogenesis_type && (!medium || loop.medium === medium);
+
+  return new Intervention({
+    name: 'Reduce coupling',
+    step,
+    description: `k1, k2 × ${factor}${medium ? ` (${medium} loops)` : ''}`,
+    effects: [
+      {
+        target: 'nodes',
+        label: 'escalating nodes',
+        // Nodes copy k₁, k₂ from the loop that drew them in; without a medium
+        // filter every escalating node is affected, otherwise only those
+        // touched by a matching loop
+        filter: (node, generator) => {
+          if (!node.schismogenesis_state.type) return false;
+          if (!medium) return true;
+          return generator.feedback_loops.some(
+            (loop) => applies(loop) && (loop.source === node || loop.target === node)
+          );
+        },
+        modify: (node) => {
+          node.schismogenesis_state.k1 *= factor;
+          node.schismogenesis_state.k2 *= factor;
+        }
+      },
+      {
+        target: 'feedback_loops',
+        label: 'schismogenetic loops',
+        filter: applies,
+        modify: (loop) => {
+          loop.k1 *= factor;
+          loop.k2 *= factor;
+        }
+      }
+    ]
+  });
+}
+
+/**
+ * Cross-tribal dialogue spaces: negative feedback between members of
+ * different tribes
+ *
+ * Pairs are drawn with the generator's RNG (reproducible per seed); each pair
+ * gets a negative loop in both directions, as face-to-face conversation does.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.step]
+ * @param {number} [options.pairs] - Dialogue pairs to create (default 100)
+ * @param {number} [options.strength] - Loop strength (default 0.5)
+ */
+export function dialogueSpaces({ step = 0, pairs = 100, strength = 0.5 } = {}) {
+  return new Intervention({
+    name: 'Dialogue spaces',
+    step,
+    description: `${pairs} cross-tribal pairs, negative feedback at strength ${strength}`,
+    effects: [
+      {
+        target: 'feedback_loops',
+        label: 'dialogue loops',
+        create: (generator) => {
+          const members = generator.nodes.filter((n) => n.schismogenesis_state.tribal_affiliation);
+          const loops = [];
+          if (members.length < 2) return loops;
+
+          // Bounded attempts: a population of one tribe has no cross-tribal pairs
+          for (let attempt = 0; attempt < pairs * 10 && loops.length < pairs * 2; attempt++) {
+            const a = members[Math.floor(generator.rng() * members.length)];
+            const b = members[Math.floor(generator.rng() * members.length)];
+            if (a.schismogenesis_state.tribal_affiliation === b.schismogenesis_state.tribal_affiliation) {
+              continue;
+            }
+
+            const config = { strength, medium: 'embodied', rng: generator.rng };
+            loops.push(new FeedbackLoop(a, b, 'negative', config));
+            loops.push(new FeedbackLoop(b, a, 'negative', config));
+          }
+          return loops;
+        }
+      }
+    ]
+  });
+}
+
+/**
+ * Offline alternatives: double the stress relief rate β of nodes in a
+ * double bind (an alternative path removes "you cannot leave")
+ *
+ * @param {Object} [options]
+ * @param {number} [options.step]
+ * @param {number} [options.reach] - Share of trapped nodes offered the
+ *   alternative (default 1; below 1 each is drawn with the generator's RNG)
+ */
+export function offlineAlternatives({ step = 0, reach = 1 } = {}) {
+  return new Intervention({
+    name: 'Offline alternatives',
+    step,
+    description: `double-bind beta × 2 for ${Math.round(reach * 100)}% of trapped nodes`,
+    effects: [
+      {
+        target: 'nodes',
+        label: 'trapped nodes',
+        filter: (node, generator) =>
+          node.double_bind.in_double_bind && (reach >= 1 || generator.rng() < reach),
+        modify: (node) => {
+          node.double_bind.beta *= 2;
+        }
+      }
+    ]
+  });
+}
+
+/**
+ * Feed friction: less inflammatory content, weaker algorithmic feedback
+ *
+ * Raises the config's feed_friction, so the chance that a post is
+ * inflammatory falls by the factor while as many posts are made. Repeated
+ * friction compounds.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.step]
+ * @param {number} [options.strength] - 0 (none) to 1 (stops inflammatory
+ *   content and algorithmic loops); default 0.5
+ */
+export function feedFriction({ step = 0, strength = 0.5 } = {}) {
+  const factor = 1 - strength;
+
+  return new Intervention({
+    name: 'Feed friction',
+    step,
+    description: `inflammatory content and algorithmic loop strength × ${factor}`,
+    effects: [
+      {
+        target: 'config',
+        label: 'content',
+        changes: { feed_friction: (friction) => 1 - (1 - (friction ?? 0)) * factor }
+      },
+      {
+        target: 'feedback_loops',
+        label: 'algorithmic loops',
+        filter: (loop) => loop.medium === 'algorithmic',
+        modify: (loop) => {
+          loop.strength *= factor;
+        }
+      }
+    ]
+  });
+}
+
+/**
+ * Change era config values mid-run
+ *
+ * @param {Object} options
+ * @param {number} [options.step]
+ * @param {Object} options.changes - { key: value | (old) => new }
+ * @param {string} [options.name]
+ */
+export function configChange({ step = 0, changes, name = 'Config change' }) {
+  return new Intervention({
+    name,
+    step,
+    description: Object.keys(changes).join(', '),
+    effects: [{ target: 'config', label: 'config', changes }]
+  });
+}
+
+/**
+ * Named intervention factories (CLI: --intervention name@step,key=value)
+ */
+export const INTERVENTIONS = {
+  reduce_coupling: reduceCoupling,
+  dialogue_spaces: dialogueSpaces,
+  offline_alternatives: offlineAlternatives,
+  feed_friction: feedFriction
+};
+
+export default Intervention;
@@ -52,39 +52,151 @@
 
 import Node from './Node.js';
 import FeedbackLoop from './FeedbackLoop.js';
-import { ERA_CONFIGS, FORCE_LAYOUT_CONFIG, ROLE_THRESHOLDS } from './config.js';
+import {
+  ERA_CONFIGS,
+  FORCE_LAYOUT_CONFIG,
+  ROLE_THRESHOLDS,
+  getSourceType,
+  drawContentAccuracy
+} from './config.js';
+import { createSeededRNG } from './random.js';
+import { SpatialGrid } from './SpatialGrid.js';
+import { QuadTree } from './QuadTree.js';
+import { NodeStore } from './NodeStore.js';
+import { CascadeTracker } from './CascadeTracker.js';
+import { createFeedRanker } from './FeedRanker.js';
+
+/**
+ * The phases of generate(), in order (reported through options.onProgress)
+ */
+export const GENERATION_PHASES = [
+  'Creating nodes',
+  'Initializing positions',
+  'Creating connections',
+  'Assigning emergent roles',
+  'Identifying influencers',
+  'Computing force strengths',
+  'Running force-directed layout',
+  'Initializing schismogenesis',
+  'Initializing double binds',
+  'Building regulatory feedback'
+];
+
+/**
+ * The phases of update(), in order (see addPhaseHook)
+ */
+export const TICK_PHASES = [
+  'interventions', // Scheduled interventions due at this step
+  'propagation', // Last step's reshares travel one more hop
+  'content', // Creators post to their connections
+  'feeds', // Smartphone feeds are ranked
+  'nodes', // Information processing, schismogenesis, double bind stress
+  'performance', // Aura performance: fatigue, burnout, follower loss
+  'regulation', // Doom-scroll addiction, emotional regulation, trust coherence
+  'resharing', // Recipients decide whether to pass content on
+  'learning', // Creators learn from the engagement their posts received
+  'feedback_loops', // Schismogenesis, double bind and regulatory loops
+  'roles', // Follower counts and roles; transitions recorded
+  'rewiring' // Follows, unfollows and cut ties (see rewireNetwork)
+];
+
+/**
+ * Node connection arrays of one-way, mediated ties (followers rather than
+ * friends), and of every tie in the order content is distributed
+ */
+const MEDIATED_CONNECTION_KEYS = [
+  'print_connections',
+  'broadcast_connections',
+  'internet_connections',
+  'algorithmic_connections'
+];
+const CONNECTION_KEYS = ['embodied_connections', ...MEDIATED_CONNECTION_KEYS];
+
+/**
+ * Label of the faction at an index: A, B, ... Z, AA, AB, ...
+ */
+function factionLabel(index) {
+  const letter = String.fromCharCode(65 + (index % 26));
+  return index < 26 ? letter : factionLabel(Math.floor(index / 26) - 1) + letter;
+}
 
 export class NetworkGenerator {
-  constructor(era_key, seed = null) {
+  /**
+   * @param {string} era_key - Key into ERA_CONFIGS
+   * @param {number} [seed] - RNG seed (defaults to Date.now())
+   * @param {Object} [options]
+   * @param {Object} [options.config] - Overrides merged onto the era config
+   * @param {Object} [options.logger] - Object with a log() method (defaults to console)
+   * @param {boolean} [options.run_layout] - Run the force-directed layout (default true).
+   *   Positions do not feed back into the dynamics, so headless runs can skip it.
+   * @param {Function} [options.onProgress] - Called at the start of each generate()
+   *   phase with { phase, index, total } (index is 0-based into GENERATION_PHASES)
+   * @param {string} [options.backend] - 'object' (default) steps Node and
+   *   FeedbackLoop objects; 'typed' steps a structure-of-arrays NodeStore
+   * @param {string} [options.precision] - NodeStore float precision:
+   *   'float32' (default) or 'float64' (matches the object backend exactly)
+   * @param {FeedRanker|string} [options.feed_ranker] - How smartphone feeds are
+   *   ordered: a FeedRanker or a FEED_RANKERS name (default 'chronological')
+   */
+  constructor(era_key, seed = null, options = {}) {
+    if (!ERA_CONFIGS[era_key]) {
+      throw new Error(`Unknown era: ${era_key}`);
+    }
+    if (options.backend && options.backend !== 'object' && options.backend !== 'typed') {
+      throw new Error(`Unknown backend: ${options.backend}`);
+    }
+
     this.era = era_key;
-    this.config = ERA_CONFIGS[era_key];
-    this.seed = seed || Date.now();
+    this.config = { ...ERA_CONFIGS[era_key], ...options.config };
+    this.seed = seed ?? Date.now();
+    this.logger = options.logger || console;
+    this.run_layout = options.run_layout !== false;
+    this.onProgress = options.onProgress || null;
+    this.backend = options.backend || 'object';
+    this.precision = options.precision || 'float32';
+    this.store = null; // NodeStore, once attached (typed backend)
     this.nodes = [];
     this.feedback_loops = [];
     this.edges = [];
+    this.step = 0; // Number of update() calls so far
+    this.interventions = []; // Scheduled, not yet applied (see scheduleIntervention)
+    this.intervention_log = []; // Applied interventions and what they changed
+    this.cascades = new CascadeTracker(); // Posts spreading by resharing
+    this.feed_ranker = createFeedRanker(options.feed_ranker || 'chronological');
+    // Network rewiring (see rewireNetwork): ragebait consumed per
+    // (follower, creator) pair, and ties changed since the start of the run
+    this.rewiring = {
+      exposure: new Map(),
+      totals: { unfollowed: 0, severed: 0, lost_to_burnout: 0, followed: 0 }
+    };
+    this.homophily_cache = null; // tribal_homophily until the edges change
+    this.edge_revision = 0; // Counts the rewirings that changed the edges
+    this.phase_hooks = { before: {}, after: {} }; // tick phase → hooks (see addPhaseHook)
+    this.role_transitions = []; // { node, from, to } in the last step
 
     // Random number generator (seedable)
+    // Shared by every stochastic path - nodes, feedback loops and content flow -
+    // so the same (era_key, seed) yields the same network AND the same trajectory
     this.rng = this.createSeededRNG(this.seed);
   }
 
   /**
    * Create a seeded random number generator
    *
-   * Uses Linear Congruential Generator (LCG) algorithm for deterministic
-   * pseudo-randomness. This ensures reproducibility - the same seed always
-   * generates the same network topology, critical for scientific comparison
-   * across eras and debugging emergent behaviors.
-   *
-   * The determinism here reflects Bateson's concept of "stochastic process" -
-   * we're not generating true randomness, but patterns that emerge from
-   * constrained variation (Bateson, "Mind and Nature", p. 48).
+   * The same seed always generates the same network topology and trajectory
+   * (see random.js for the algorithm).
    */
   createSeededRNG(seed) {
-    let state = seed;
-    return function () {
-      state = (state * 1664525 + 1013904223) % 4294967296;
-      return state / 4294967296;
-    };
+    return createSeededRNG(seed);
+  }
+
+  /**
+   * Report the start of generate() phase `index`
+   */
+  reportProgress(index) {
+    if (this.onProgress) {
+      this.onProgress({ phase: GENERATION_PHASES[index], index, total: GENERATION_PHASES.length });
+    }
   }
 
   /**
@@ -98,43 +210,64 @@ export class NetworkGenerator {
    * 5. Identify influencers (for schismogenesis tribal leaders)
    * 6. Pre-compute force strengths (performance optimization)
    * 7. Run force-directed layout (spatial clustering)
-   * 8. Initialize schismogenesis (symmetrical escalation)
+   * 8. Initialize schismogenesis (symmetrical tribes, complementary hubs)
    * 9. Initialize double binds (algorithmic entrapment)
+   * 10. Build regulatory feedback (negative loops along strong embodied ties)
    *
    * This sequence ensures roles EMERGE from network structure rather than
    * being imposed upfront.
    */
   generate() {
-    console.log(`Generating ${this.config.era_name} network...`);
+    this.logger.log(`Generating ${this.config.era_name} network...`);
 
     // Step 1: Create nodes (all start as consumers)
+    this.reportProgress(0);
     this.createNodes();
 
     // Step 2: Initialize random positions first
+    this.reportProgress(1);
     this.initializePositions();
 
     // Step 3: Create connections based on era
+    this.reportProgress(2);
     this.createConnections();
 
     // Step 4: Assign emergent roles based on follower count
+    this.reportProgress(3);
     this.assignEmergentRoles();
 
     // Step 5: Identify influencers (nodes with most followers for schismogenesis)
+    this.reportProgress(4);
     this.identifyInfluencers();
 
     // Step 6: Pre-compute force strengths for edges (optimization)
+    this.reportProgress(5);
     this.precomputeForceStrengths();
 
     // Step 7: Run force-directed layout (connections already exist)
-    this.runForceDirectedLayout();
+    this.reportProgress(6);
+    if (this.run_layout) {
+      this.runForceDirectedLayout();
+    }
 
     // Step 8: Initialize schismogenesis (for later eras)
+    this.reportProgress(7);
     this.initializeSchismogenesis();
+    this.initializeComplementarySchismogenesis();
 
     // Step 9: Initialize double binds (for algorithmic era)
+    this.reportProgress(8);
     this.initializeDoubleBinds();
 
-    console.log(
+    // Step 10: Negative feedback from the Dunbar core (every era)
+    this.reportProgress(9);
+    this.initializeRegulatoryFeedback();
+
+    if (this.backend === 'typed') {
+      this.attachNodeStore();
+    }
+
+    this.logger.log(
       `Generated ${this.nodes.length} nodes, ${this.edges.length} edges, ${this.feedback_loops.length} feedback loops`
     );
 
@@ -146,6 +279,18 @@ export class NetworkGenerator {
     };
   }
 
+  /**
+   * Move node state into a structure-of-arrays NodeStore
+   *
+   * From here on update() and getMetrics() run over typed arrays; the Node
+   * objects stay in place as live views of the store. Must be called again
+   * if edges are added or removed (the store holds them in CSR form).
+   */
+  attachNodeStore() {
+    this.store = new NodeStore(this, { precision: this.precision });
+    return this.store;
+  }
+
   /**
    * Create nodes with appropriate characteristics
    *
@@ -160,7 +305,7 @@ export class NetworkGenerator {
    */
   createNodes() {
     for (let i = 0; i < this.config.population_size; i++) {
-      const node = new Node(i, this.config);
+      const node = new Node(i, this.config, this.rng);
 
       // Assign literacy
       node.is_literate = this.rng() < this.config.literacy_rate;
@@ -184,7 +329,7 @@ export class NetworkGenerator {
    * Initialize random positions for all nodes
    */
   initializePositions() {
-    console.log('Initializing node positions...');
+    this.logger.log('Initializing node positions...');
 
     // Extremely large spread for larger networks (was * 10, then * 40, then * 60, now * 100)
     const spread = Math.sqrt(this.nodes.length) * 100;
@@ -220,7 +365,7 @@ export class NetworkGenerator {
    * the inflated network of digital "connections."
    */
   precomputeForceStrengths() {
-    console.log('Pre-computing edge force strengths...');
+    this.logger.log('Pre-computing edge force strengths...');
 
     // Build a map of embodied connections for fast lookup
     const embodiedMap = new Map();
@@ -262,7 +407,7 @@ export class NetworkGenerator {
       edge.force_strength = force_strength;
     });
 
-    console.log('Force strengths pre-computed');
+    this.logger.log('Force strengths pre-computed');
   }
 
   /**
@@ -297,35 +442,31 @@ export class NetworkGenerator {
    *
    * The resulting spatial layout is not arbitrary - it's a visual representation
    * of the ACTUAL social topology created by communication patterns.
+   *
+   * Repulsion uses a Barnes–Hut quadtree (see QuadTree.js): O(n log n) per
+   * iteration instead of O(n²), with accuracy set by
+   * FORCE_LAYOUT_CONFIG.barnes_hut_theta (0 = exact pairwise sum).
    */
   runForceDirectedLayout() {
-    console.log('Running force-directed layout...');
+    this.logger.log('Running force-directed layout...');
 
     // Run force-directed simulation
     let temperature = FORCE_LAYOUT_CONFIG.initial_temperature;
 
-    for (let iter = 0; iter < FORCE_LAYOUT_CONFIG.iterations; iter++) {
-      // Calculate forces for each node
-      this.nodes.forEach((node) => {
-        const force = { x: 0, y: 0 };
-
-        // Repulsive forces between all nodes
-        this.nodes.forEach((other) => {
-          if (node === other) return;
-
-          const dx = node.position.x - other.position.x;
-          const dy = node.position.y - other.position.y;
-          const distance = Math.sqrt(dx * dx + dy * dy) + 0.01; // Avoid division by zero
+    const repulsion = {
+      strength: FORCE_LAYOUT_CONFIG.repulsion_strength,
+      cutoff: FORCE_LAYOUT_CONFIG.repulsion_distance,
+      theta: FORCE_LAYOUT_CONFIG.barnes_hut_theta
+    };
 
-          if (distance < FORCE_LAYOUT_CONFIG.repulsion_distance) {
-            const repulsion = FORCE_LAYOUT_CONFIG.repulsion_strength / (distance * distance);
-            force.x += (dx / distance) * repulsion;
-            force.y += (dy / distance) * repulsion;
-          }
-        });
+    for (let iter = 0; iter < FORCE_LAYOUT_CONFIG.iterations; iter++) {
+      // Repulsive forces between all nodes, via a Barnes–Hut quadtree
+      // (distant groups of nodes act as one body: O(n log n) per iteration)
+      const tree = new QuadTree(this.nodes.map((n) => n.position));
 
+      this.nodes.forEach((node, index) => {
         // Store force temporarily
-        node.force = force;
+        node.force = tree.repulsion(index, repulsion);
       });
 
       // Apply attractive forces from edges (must be done after repulsion)
@@ -383,7 +524,7 @@ export class NetworkGenerator {
 
       // Log progress every 50 iterations
       if (iter % 50 === 0) {
-        console.log(`  Layout iteration ${iter}/${FORCE_LAYOUT_CONFIG.iterations}`);
+        this.logger.log(`  Layout iteration ${iter}/${FORCE_LAYOUT_CONFIG.iterations}`);
       }
     }
 
@@ -393,49 +534,49 @@ export class NetworkGenerator {
       delete node.force;
     });
 
-    console.log('Force-directed layout complete');
+    this.logger.log('Force-directed layout complete');
   }
 
   /**
    * Create connections based on era characteristics
    */
   createConnections() {
-    console.log('Creating connections...');
+    this.logger.log('Creating connections...');
 
     // Embodied connections (face-to-face, Dunbar's limit)
-    console.log('  Creating embodied connections...');
+    this.logger.log('  Creating embodied connections...');
     this.createEmbodiedConnections();
-    console.log(`  ✓ ${this.edges.filter(e => e.medium === 'embodied').length} embodied edges created`);
+    this.logger.log(`  ✓ ${this.edges.filter(e => e.medium === 'embodied').length} embodied edges created`);
 
     // Print connections (for literate nodes)
     if (this.config.print_access_rate > 0) {
-      console.log('  Creating print connections...');
+      this.logger.log('  Creating print connections...');
       this.createPrintConnections();
-      console.log(`  ✓ ${this.edges.filter(e => e.medium === 'print').length} print edges created`);
+      this.logger.log(`  ✓ ${this.edges.filter(e => e.medium === 'print').length} print edges created`);
     }
 
     // Broadcast connections (parasocial)
     if (this.config.broadcast_access_rate > 0) {
-      console.log('  Creating broadcast connections...');
+      this.logger.log('  Creating broadcast connections...');
       this.createBroadcastConnections();
-      console.log(`  ✓ ${this.edges.filter(e => e.medium === 'broadcast').length} broadcast edges created`);
+      this.logger.log(`  ✓ ${this.edges.filter(e => e.medium === 'broadcast').length} broadcast edges created`);
     }
 
     // Internet connections
     if (this.config.internet_access_rate > 0) {
-      console.log('  Creating internet connections...');
+      this.logger.log('  Creating internet connections...');
       this.createInternetConnections();
-      console.log(`  ✓ ${this.edges.filter(e => e.medium === 'internet').length} internet edges created`);
+      this.logger.log(`  ✓ ${this.edges.filter(e => e.medium === 'internet').length} internet edges created`);
     }
 
     // Algorithmic connections (social media)
     if (this.config.algorithm_engagement_weight > 0) {
-      console.log('  Creating algorithmic connections...');
+      this.logger.log('  Creating algorithmic connections...');
       this.createAlgorithmicConnections();
-      console.log(`  ✓ ${this.edges.filter(e => e.medium === 'algorithmic').length} algorithmic edges created`);
+      this.logger.log(`  ✓ ${this.edges.filter(e => e.medium === 'algorithmic').length} algorithmic edges created`);
     }
 
-    console.log(`Total edges created: ${this.edges.length}`);
+    this.logger.log(`Total edges created: ${this.edges.length}`);
   }
 
   /**
@@ -479,46 +620,47 @@ export class NetworkGenerator {
     const dunbar_limit = 150; // Max meaningful relationships
     const core_limit = 5; // Close friends
 
-    this.nodes.forEach((node) => {
-      // Find nearby nodes (spatial proximity in 2D)
-      const nearby = this.nodes
-        .filter((other) => other !== node)
-        .map((other) => ({
-          node: other,
-          distance: this.distance2D(node.position, other.position)
-        }))
-        .sort((a, b) => a.distance - b.distance);
+    // Spatial index: nearest neighbours without sorting the whole population
+    // per node. Ordering (distance, then index) matches a full stable sort,
+    // so the same seed yields the same ties.
+    const grid = new SpatialGrid(this.nodes.map((n) => n.position), {
+      distance: (a, b) => this.distance2D(a, b)
+    });
+    const max_neighbours = this.nodes.length - 1;
 
+    this.nodes.forEach((node, index) => {
       // Aura influences connection count slightly (±20%)
       // High aura = village elder, attracts more conversations
       // Low aura = recluse, fewer connections
       const aura_modifier = 0.8 + (node.aura_strength * 0.4); // 0.8 to 1.2
 
-      // Create core connections (strong ties)
+      // Create core connections (strong ties) with the nearest nodes
       const base_core_count = Math.floor(this.rng() * core_limit) + 1;
       const core_count = Math.floor(base_core_count * aura_modifier);
 
-      for (let i = 0; i < Math.min(core_count, nearby.length); i++) {
-        const target = nearby[i].node;
+      const core = grid.nearest(node.position, Math.min(core_count, max_neighbours), index);
+      core.forEach(({ index: target_index }) => {
+        const target = this.nodes[target_index];
         const strength = 0.8 + this.rng() * 0.2; // 0.8 to 1.0
 
         this.createEdge(node, target, 'embodied', strength);
-      }
+      });
 
       // Create weak ties (up to Dunbar limit, also modulated by aura)
+      // with the next-nearest nodes after the core
       const base_weak_count = Math.floor(this.rng() * (dunbar_limit - core_count));
       const weak_count = Math.floor(base_weak_count * aura_modifier);
 
-      for (
-        let i = core_count;
-        i < Math.min(core_count + weak_count, nearby.length);
-        i++
-      ) {
-        const target = nearby[i].node;
+      const reach = Math.min(core_count + weak_count, max_neighbours);
+      if (reach <= core_count) return;
+
+      const weak = grid.nearest(node.position, reach, index).slice(core_count);
+      weak.forEach(({ index: target_index }) => {
+        const target = this.nodes[target_index];
         const strength = this.rng() * 0.5; // 0 to 0.5
 
         this.createEdge(node, target, 'embodied', strength);
-      }
+      });
     });
   }
 
@@ -814,7 +956,7 @@ export class NetworkGenerator {
    * This also calculates reach based on role and era's aura transmission rate.
    */
   assignEmergentRoles() {
-    console.log('Assigning emergent roles based on follower count...');
+    this.logger.log('Assigning emergent roles based on follower count...');
 
     // FIRST: Calculate follower counts
     // Follower = someone who receives content from this node (outgoing edges)
@@ -830,9 +972,12 @@ export class NetworkGenerator {
       followerCounts.set(edge.source, currentCount + 1);
     });
 
-    // Attach follower count to each node
+    // Attach follower count to each node, split into embodied and mediated
+    // (parasocial) followers
     this.nodes.forEach(node => {
       node.follower_count = followerCounts.get(node.id) || 0;
+      node.embodied_followers = node.embodied_connections.length;
+      node.parasocial_followers = node.follower_count - node.embodied_followers;
     });
 
     // THEN: Determine roles based on follower count
@@ -852,7 +997,7 @@ export class NetworkGenerator {
       influencer: this.nodes.filter(n => n.role === 'influencer').length
     };
 
-    console.log(`✓ Roles assigned: ${roleCounts.consumer} consumers, ${roleCounts.creator} creators, ${roleCounts.broadcaster} broadcasters, ${roleCounts.influencer} influencers`);
+    this.logger.log(`✓ Roles assigned: ${roleCounts.consumer} consumers, ${roleCounts.creator} creators, ${roleCounts.broadcaster} broadcasters, ${roleCounts.influencer} influencers`);
   }
 
   /**
@@ -921,23 +1066,33 @@ export class NetworkGenerator {
    * NOTE: Follower counts are already calculated in assignEmergentRoles()
    */
   identifyInfluencers() {
-    console.log('Identifying influencers...');
+    this.logger.log('Identifying influencers...');
 
-    // Determine number of influencers (1 per 1,000 people, minimum 1)
+    this.rankInfluencers();
+
+    const influencers = this.nodes.filter(n => n.is_influencer);
+    this.logger.log(`✓ Identified ${influencers.length} influencers (avg followers: ${
+      influencers.length > 0 ? Math.round(influencers.reduce((sum, n) => sum + n.follower_count, 0) / influencers.length) : 0
+    })`);
+  }
+
+  /**
+   * Mark the top follower counts as influencers (1 per 1,000 people,
+   * minimum 1), on top of any node that has reached the influencer threshold
+   *
+   * Called at generation, and again whenever roles are re-determined (the
+   * roles phase, rewiring) after determineRole() has cleared the flag for
+   * everyone below the threshold: the rank moves with the follower counts.
+   */
+  rankInfluencers() {
     const influencer_count = Math.max(1, Math.floor(this.nodes.length / 1000));
 
-    // Sort nodes by follower count (already calculated in assignEmergentRoles)
+    // Stable sort: ties keep node order
     const nodesByFollowers = [...this.nodes].sort((a, b) => b.follower_count - a.follower_count);
 
-    // Mark top N as influencers
     for (let i = 0; i < influencer_count && i < nodesByFollowers.length; i++) {
       nodesByFollowers[i].is_influencer = true;
     }
-
-    const influencers = this.nodes.filter(n => n.is_influencer);
-    console.log(`✓ Identified ${influencers.length} influencers (avg followers: ${
-      influencers.length > 0 ? Math.round(influencers.reduce((sum, n) => sum + n.follower_count, 0) / influencers.length) : 0
-    })`);
   }
 
   /**
@@ -945,6 +1100,12 @@ export class NetworkGenerator {
    * Mainly for social media and algorithmic eras
    * Influencers become tribal leaders
    *
+   * The era sets how many factions form (schismogenesis_factions, default
+   * 2): platform discourse is rarely a clean two-sided split. Members are
+   * found by community detection on internet and algorithmic ties (see
+   * detectFactions()), each faction taking an equal share of the sampled
+   * participants, most embedded first. Every pair of factions is coupled.
+   *
    * THEORETICAL FOUNDATION: BATESON'S SCHISMOGENESIS APPLIED TO DIGITAL TRIBALISM
    *
    * Gregory Bateson coined "schismogenesis" in "Naven" (1936) to describe
@@ -988,70 +1149,260 @@ export class NetworkGenerator {
     const participants_count = Math.floor(
       this.nodes.length * this.config.schismogenesis_sample_rate
     );
+    const labels = this.getFactionLabels();
+    const faction_count = labels.length;
+
+    // Influencers lead the factions (dealt round-robin); if there are fewer
+    // influencers than factions, the most-followed remaining nodes step in
+    const leaders = this.nodes.filter(n => n.is_influencer);
+    if (leaders.length < faction_count) {
+      const stand_ins = this.nodes
+        .filter(n => !n.is_influencer)
+        .sort((a, b) => b.follower_count - a.follower_count)
+        .slice(0, faction_count - leaders.length);
+      leaders.push(...stand_ins);
+    }
 
-    // Get influencers to be tribal leaders
-    const influencers = this.nodes.filter(n => n.is_influencer);
+    const seeds = new Int32Array(this.nodes.length).fill(-1);
+    leaders.forEach((leader, index) => {
+      seeds[leader.id] = index % faction_count;
+    });
 
-    // Create two tribes
-    const tribe_a = [];
-    const tribe_b = [];
-
-    // Assign influencers as tribal leaders (split them between tribes)
-    influencers.forEach((influencer, index) => {
-      if (index % 2 === 0) {
-        influencer.schismogenesis_state.tribal_affiliation = 'A';
-        influencer.schismogenesis_state.is_tribal_leader = true;
-        tribe_a.push(influencer);
-      } else {
-        influencer.schismogenesis_state.tribal_affiliation = 'B';
-        influencer.schismogenesis_state.is_tribal_leader = true;
-        tribe_b.push(influencer);
-      }
+    // Members are the nodes most embedded in each leader's community
+    const { faction, affinity } = this.detectFactions(seeds, faction_count);
+    const quota = Math.max(1, Math.floor(participants_count / faction_count));
+    const factions = labels.map(() => []);
+
+    leaders.forEach((leader) => {
+      leader.schismogenesis_state.is_tribal_leader = true;
+      factions[seeds[leader.id]].push(leader);
     });
 
-    // Fill out the rest of the tribes with regular nodes
-    const remaining_slots = participants_count - influencers.length;
-    for (let i = 0; i < remaining_slots / 2; i++) {
-      const node_a = this.nodes[Math.floor(this.rng() * this.nodes.length)];
-      const node_b = this.nodes[Math.floor(this.rng() * this.nodes.length)];
-
-      if (
-        !node_a.schismogenesis_state.tribal_affiliation &&
-        node_a !== node_b
-      ) {
-        node_a.schismogenesis_state.tribal_affiliation = 'A';
-        tribe_a.push(node_a);
-      }
+    const candidates = this.nodes
+      .filter(n => seeds[n.id] < 0 && faction[n.id] >= 0)
+      .sort((a, b) => affinity[b.id] - affinity[a.id]); // Stable: ties keep node order
+    candidates.forEach((node) => {
+      const members = factions[faction[node.id]];
+      if (members.length < quota) members.push(node);
+    });
+
+    factions.forEach((members, index) => {
+      members.forEach((node) => {
+        node.schismogenesis_state.tribal_affiliation = labels[index];
+      });
+    });
 
-      if (
-        !node_b.schismogenesis_state.tribal_affiliation &&
-        node_b !== node_a
-      ) {
-        node_b.schismogenesis_state.tribal_affiliation = 'B';
-        tribe_b.push(node_b);
+    // Create positive feedback loops between members of every pair of
+    // factions (symmetrical schismogenesis: all sides escalate)
+    // Coupling constants are overridable per run for sensitivity analysis
+    const k1 = this.config.schismogenesis_k1 ?? 0.15;
+    const k2 = this.config.schismogenesis_k2 ?? 0.15;
+
+    for (let f = 0; f < faction_count; f++) {
+      for (let g = f + 1; g < faction_count; g++) {
+        for (let i = 0; i < Math.min(factions[f].length, factions[g].length); i++) {
+          const loop = new FeedbackLoop(factions[f][i], factions[g][i], 'positive', {
+            schismogenesis_type: 'symmetrical',
+            k1,
+            k2,
+            medium: 'algorithmic',
+            strength: 0.7,
+            rng: this.rng
+          });
+
+          this.feedback_loops.push(loop);
+        }
       }
     }
 
-    // Create positive feedback loops between tribal members
-    // (symmetrical schismogenesis: both tribes escalate)
-    for (let i = 0; i < Math.min(tribe_a.length, tribe_b.length); i++) {
-      const loop = new FeedbackLoop(tribe_a[i], tribe_b[i], 'positive', {
-        schismogenesis_type: 'symmetrical',
-        k1: 0.15,
-        k2: 0.15,
-        medium: 'algorithmic',
-        strength: 0.7
+    const summary = factions.map((members, index) => {
+      const leader_count = members.filter(n => n.schismogenesis_state.is_tribal_leader).length;
+      return `${labels[index]} (${members.length}, ${leader_count} leaders)`;
+    });
+
+    this.logger.log(`Initialized schismogenesis: ${faction_count} factions - ${summary.join(', ')}`);
+  }
+
+  /**
+   * Faction labels for this era (config.schismogenesis_factions, default 2)
+   */
+  getFactionLabels() {
+    const count = Math.max(2, Math.floor(this.config.schismogenesis_factions ?? 2));
+    return Array.from({ length: count }, (_, index) => factionLabel(index));
+  }
+
+  /**
+   * Community detection by seeded, modularity-corrected label propagation
+   * (LPAm, Barber & Clark 2009)
+   *
+   * Factions form along the channels where discourse happens - internet and
+   * algorithmic ties, taken as undirected and weighted by strength. Starting
+   * from the seeded leaders, each node in turn joins the faction it is tied
+   * to more strongly than chance would predict: tie strength into the faction
+   * minus (its own tie strength × the faction's) / total tie strength. Plain
+   * majority voting would let the first faction to grow swallow the network.
+   * Repeats until no node changes side (or 10 sweeps). Leaders keep their
+   * seed; nodes out of reach stay unaligned. Deterministic: nodes are visited
+   * in order, ties go to the lower faction.
+   *
+   * @param {Int32Array} seeds - Fixed faction per node (-1 = free)
+   * @param {number} faction_count
+   * @returns {{faction: Int32Array, affinity: Float64Array}} Faction per node
+   *   (-1 = none), and the share of its labelled tie strength inside it
+   */
+  detectFactions(seeds, faction_count) {
+    const n = this.nodes.length;
+    const discourse = (visit) => {
+      this.nodes.forEach((node) => {
+        node.internet_connections.forEach(visit);
+        node.algorithmic_connections.forEach(visit);
       });
+    };
 
-      this.feedback_loops.push(loop);
+    // Undirected adjacency in CSR form
+    const degree = new Int32Array(n + 1);
+    discourse((edge) => {
+      degree[edge.source + 1]++;
+      degree[edge.target + 1]++;
+    });
+    for (let i = 0; i < n; i++) degree[i + 1] += degree[i];
+
+    const offsets = degree;
+    const fill = offsets.slice(0, n);
+    const neighbors = new Int32Array(offsets[n]);
+    const weights = new Float64Array(offsets[n]);
+    discourse((edge) => {
+      neighbors[fill[edge.source]] = edge.target;
+      weights[fill[edge.source]++] = edge.strength;
+      neighbors[fill[edge.target]] = edge.source;
+      weights[fill[edge.target]++] = edge.strength;
+    });
+
+    // Weighted degrees, and the total volume of each faction
+    const strength = new Float64Array(n);
+    let total_strength = 0;
+    for (let i = 0; i < n; i++) {
+      for (let e = offsets[i]; e < offsets[i + 1]; e++) strength[i] += weights[e];
+      total_strength += strength[i];
     }
+    if (total_strength === 0) total_strength = 1;
 
-    const leader_count_a = tribe_a.filter(n => n.schismogenesis_state.is_tribal_leader).length;
-    const leader_count_b = tribe_b.filter(n => n.schismogenesis_state.is_tribal_leader).length;
+    const faction = Int32Array.from(seeds);
+    const volume = new Float64Array(faction_count);
+    for (let i = 0; i < n; i++) {
+      if (faction[i] >= 0) volume[faction[i]] += strength[i];
+    }
 
-    console.log(
-      `Initialized schismogenesis: Tribe A (${tribe_a.length}, ${leader_count_a} leaders), Tribe B (${tribe_b.length}, ${leader_count_b} leaders)`
-    );
+    const affinity = new Float64Array(n);
+    const votes = new Float64Array(faction_count);
+
+    for (let sweep = 0; sweep < 10; sweep++) {
+      let changed = 0;
+
+      for (let i = 0; i < n; i++) {
+        if (seeds[i] >= 0) continue;
+
+        votes.fill(0);
+        let total = 0;
+        for (let e = offsets[i]; e < offsets[i + 1]; e++) {
+          const label = faction[neighbors[e]];
+          if (label < 0) continue;
+          votes[label] += weights[e];
+          total += weights[e];
+        }
+        if (total === 0) continue;
+
+        // Leave the node's own faction first, so it is compared fairly
+        const current = faction[i];
+        if (current >= 0) volume[current] -= strength[i];
+
+        let best = -1;
+        let best_score = -Infinity;
+        for (let f = 0; f < faction_count; f++) {
+          const score = votes[f] - (strength[i] * volume[f]) / total_strength;
+          if (score > best_score) {
+            best = f;
+            best_score = score;
+          }
+        }
+
+        volume[best] += strength[i];
+        affinity[i] = votes[best] / total;
+        if (current !== best) {
+          faction[i] = best;
+          changed++;
+        }
+      }
+
+      if (changed === 0) break;
+    }
+
+    return { faction, affinity };
+  }
+
+  /**
+   * Initialize complementary schismogenesis between hubs and their audiences
+   *
+   * THEORETICAL FOUNDATION: THE PARASOCIAL HIERARCHY
+   *
+   * Bateson's other schismogenesis ("Naven", 1936): where symmetrical rivals
+   * answer boast with boast, complementary partners answer dominance with
+   * submission, and submission with more dominance. One-to-many media build
+   * this relation into their structure - the broadcaster speaks, the audience
+   * watches, and neither can answer the other as an equal.
+   *
+   * Hubs are the nodes with the most broadcast + algorithmic followers
+   * (top complementary_leader_share of the population), leaving out tribe
+   * members, who are already in the symmetrical game. Each hub is coupled to
+   * its most attached followers - its complementary_audience_size strongest
+   * mediated ties to nodes that are neither hubs nor tribe members.
+   *
+   * Deterministic (no random draws): the network is ranked, not sampled.
+   */
+  initializeComplementarySchismogenesis() {
+    const mediated = (n) => n.broadcast_connections.length + n.algorithmic_connections.length;
+    const is_tribal = (n) => Boolean(n.schismogenesis_state.tribal_affiliation);
+
+    const candidates = this.nodes.filter((n) => mediated(n) > 0 && !is_tribal(n));
+    if (candidates.length === 0) return;
+
+    const leader_share = this.config.complementary_leader_share ?? 0.01;
+    const audience_size = this.config.complementary_audience_size ?? 20;
+    const k1 = this.config.complementary_k1 ?? 0.01;
+    const k2 = this.config.complementary_k2 ?? 0.01;
+
+    // Stable sort: ties keep node order
+    const hubs = candidates
+      .sort((a, b) => mediated(b) - mediated(a))
+      .slice(0, Math.max(1, Math.floor(this.nodes.length * leader_share)));
+    const is_hub = new Set(hubs);
+
+    let followers = 0;
+    hubs.forEach((hub) => {
+      const audience = [...hub.broadcast_connections, ...hub.algorithmic_connections]
+        .filter((edge) => {
+          const target = this.nodes[edge.target];
+          return !is_hub.has(target) && !is_tribal(target);
+        })
+        .sort((a, b) => b.strength - a.strength)
+        .slice(0, audience_size);
+
+      audience.forEach((edge) => {
+        this.feedback_loops.push(
+          new FeedbackLoop(hub, this.nodes[edge.target], 'positive', {
+            schismogenesis_type: 'complementary',
+            k1,
+            k2,
+            medium: edge.medium,
+            strength: edge.strength,
+            rng: this.rng
+          })
+        );
+      });
+      followers += audience.length;
+    });
+
+    this.logger.log(`Initialized complementary schismogenesis: ${hubs.length} hubs, ${followers} follower loops`);
   }
 
   /**
@@ -1076,7 +1427,51 @@ export class NetworkGenerator {
     const trapped_count = smartphone_users.filter(
       (n) => n.double_bind.in_double_bind
     ).length;
-    console.log(`Initialized double binds: ${trapped_count} users trapped`);
+    this.logger.log(`Initialized double binds: ${trapped_count} users trapped`);
+  }
+
+  /**
+   * Build homeostatic (negative) feedback loops from strong embodied ties
+   *
+   * THEORETICAL FOUNDATION: THE FACE AS THERMOSTAT
+   *
+   * Face-to-face, agitation is answered at once: you see the wince, hear the
+   * pause, feel the room cool (Bateson's "calibration" through the body).
+   * The people who do this most reliably are the Dunbar core - the handful of
+   * close ties, not the 150 acquaintances.
+   *
+   * For every strong embodied tie (strength ≥ 0.8, i.e. a core tie from
+   * createEmbodiedConnections) node → friend, the friend regulates the node:
+   *
+   *   strength = edge.strength × min(1, core_ties(node) / 5) × regulatory_feedback_strength
+   *
+   * A person held by a full core circle gets several strong regulators; a
+   * person with one close friend gets one weak one. config
+   * regulatory_feedback_strength (default 1) scales every loop, and 0 turns
+   * the mechanism off - the switch for testing whether embodied ties really
+   * dampen escalation.
+   */
+  initializeRegulatoryFeedback() {
+    const scale = this.config.regulatory_feedback_strength ?? 1;
+    if (scale <= 0) return;
+
+    const core_limit = 5; // Dunbar core, as in createEmbodiedConnections
+    const core_threshold = 0.8; // Core ties are created at 0.8-1.0
+
+    this.nodes.forEach((node) => {
+      const core_ties = node.embodied_connections.filter((e) => e.strength >= core_threshold);
+      const circle = Math.min(1, core_ties.length / core_limit);
+
+      core_ties.forEach((edge) => {
+        this.feedback_loops.push(
+          new FeedbackLoop(this.nodes[edge.target], node, 'negative', {
+            strength: edge.strength * circle * scale,
+            medium: 'embodied',
+            rng: this.rng
+          })
+        );
+      });
+    });
   }
 
   /**
@@ -1112,16 +1507,528 @@ export class NetworkGenerator {
 
   /**
    * Update simulation (run one time step)
+   *
+   * Runs the TICK_PHASES in order, each wrapped by its hooks (see
+   * addPhaseHook). With the typed backend the phases run over the NodeStore
+   * (see NodeStore.getTickPhases).
    */
   update(dt = 1) {
-    // Generate content flowing through the network
-    this.generateContent();
+    const phases = this.store ? this.store.getTickPhases(dt) : this.getTickPhases(dt);
+
+    TICK_PHASES.forEach((phase) => {
+      this.runPhaseHooks(phase, 'before', dt);
+      phases[phase]();
+      this.runPhaseHooks(phase, 'after', dt);
+    });
+
+    this.step++;
+  }
+
+  /**
+   * One step's phases over the Node and FeedbackLoop objects
+   *
+   * @returns {Object} phase name → function running it
+   */
+  getTickPhases(dt) {
+    const tribeOf = (id) => this.nodes[id].schismogenesis_state.tribal_affiliation;
+    const consumption = [];
+
+    return {
+      interventions: () => this.applyDueInterventions(),
 
-    // Update all nodes
-    this.nodes.forEach((node) => node.update(dt));
+      // Reshares decided last step travel one more hop
+      propagation: () => this.propagateCascades(),
+
+      content: () => this.generateContent(),
+
+      // Smartphone feeds are ranked before they are read
+      feeds: () => this.rankFeeds(),
+
+      // Each node reads what it can, then an overloaded one sheds the rest
+      nodes: () => {
+        this.nodes.forEach((node) => {
+          node.update(dt);
+          this.shedBacklog(node);
+        });
+      },
+
+      performance: () => this.nodes.forEach((node) => node.updatePerformanceFatigue(dt)),
+
+      regulation: () => {
+        const exposure = this.config.algorithm_engagement_weight || 0;
+        this.nodes.forEach((node) => {
+          node.updateDoomScrollAddiction(node.has_smartphone ? exposure : 0, dt);
+          node.updateEmotionalRegulation(dt);
+          node.updateTrustCoherence(dt);
+        });
+      },
 
-    // Execute feedback loops
-    this.feedback_loops.forEach((loop) => loop.execute());
+      // Recipients decide whether to pass on what they just consumed
+      resharing: () => {
+        this.nodes.forEach((node) => {
+          node.consumed_content.forEach(([content, accepted]) => consumption.push([node.id, content, accepted]));
+        });
+        this.updateCascades(consumption, tribeOf);
+      },
+
+      // Creators learn from the engagement their posts received
+      learning: () => this.nodes.forEach((node) => node.updateLearning(this.step)),
+
+      feedback_loops: () => this.feedback_loops.forEach((loop) => loop.execute()),
+
+      roles: () => {
+        this.role_transitions = [];
+        this.nodes.forEach((node) => {
+          node.updateFollowerCount();
+          this.updateRole(node);
+        });
+        this.rankInfluencers();
+      },
+
+      // Follow, unfollow and cut ties in response to what flowed this step
+      rewiring: () => this.rewireNetwork(consumption, tribeOf)
+    };
+  }
+
+  /**
+   * Run a function before or after a tick phase, every step
+   *
+   * Hooks see the network between phases - e.g. buffers after 'feeds' and
+   * before 'nodes' - and may change it. They are not part of snapshots.
+   *
+   * @param {string} phase - One of TICK_PHASES
+   * @param {Function} hook - Called with { generator, phase, step, dt }
+   * @param {Object} [options]
+   * @param {string} [options.when] - 'before' or 'after' (default) the phase
+   * @returns {Function} Removes the hook
+   */
+  addPhaseHook(phase, hook, { when = 'after' } = {}) {
+    if (!TICK_PHASES.includes(phase)) {
+      throw new Error(`Unknown tick phase: ${phase}`);
+    }
+    if (when !== 'before' && when !== 'after') {
+      throw new Error(`Phase hooks run 'before' or 'after', not: ${when}`);
+    }
+
+    const hooks = this.phase_hooks[when];
+    if (!hooks[phase]) hooks[phase] = [];
+    hooks[phase].push(hook);
+
+    return () => {
+      hooks[phase] = hooks[phase].filter((h) => h !== hook);
+    };
+  }
+
+  runPhaseHooks(phase, when, dt) {
+    const hooks = this.phase_hooks[when][phase];
+    if (!hooks || hooks.length === 0) return;
+
+    hooks.forEach((hook) => hook({ generator: this, phase, step: this.step, dt }));
+  }
+
+  /**
+   * Re-determine a node's role from its follower count (Node.determineRole),
+   * recording any transition in this step's role_transitions
+   *
+   * This clears is_influencer below the influencer threshold; the roles phase
+   * then re-ranks (rankInfluencers), so a burned-out influencer loses the flag.
+   */
+  updateRole(node) {
+    const role = node.role;
+
+    node.determineRole();
+
+    if (node.role !== role) {
+      this.recordRoleTransition(node, role);
+    }
+  }
+
+  /**
+   * A node's role changed from `from` to node.role: update its reach and
+   * record the transition (shared with NodeStore)
+   */
+  recordRoleTransition(node, from) {
+    node.amplified_reach = this.calculateReach(node);
+    this.role_transitions.push({ node: node.id, from, to: node.role });
+  }
+
+  /**
+   * Let the feed ranker order every smartphone user's buffer (and set the
+   * session limit); everyone else reads in arrival order
+   */
+  rankFeeds() {
+    const ranker = this.feed_ranker;
+
+    this.nodes.forEach((node) => {
+      if (!node.has_smartphone) return;
+
+      node.feed_limit = ranker.session_limit ?? null;
+      if (node.information_buffer.length > 1) {
+        node.information_buffer = ranker.rank(node.information_buffer, {
+          id: node.id,
+          tribe: node.schismogenesis_state.tribal_affiliation
+        });
+      }
+    });
+  }
+
+  /**
+   * Most buffered items a node keeps: buffer_limit (default 50) while it has
+   * attention to spare; once load reaches capacity, one per chunk of
+   * working memory (Miller's limit)
+   */
+  backlogLimit(attention, cognitive_capacity) {
+    return attention > 0 ? (this.config.buffer_limit ?? 50) : Math.floor(cognitive_capacity);
+  }
+
+  /**
+   * Drop the buffered content a node cannot keep (see backlogLimit)
+   */
+  shedBacklog(node) {
+    const limit = this.backlogLimit(node.getAttentionAvailable(), node.cognitive_capacity);
+    const buffer = node.information_buffer;
+
+    node.content_dropped = Math.max(0, buffer.length - limit);
+    if (node.content_dropped > 0) {
+      node.information_buffer = this.triageBuffer(buffer, limit, node.schismogenesis_state.tribal_affiliation);
+    }
+  }
+
+  /**
+   * Keep the `limit` highest-priority items of a buffer, in buffer order, and
+   * release the cascades of the rest (shared with NodeStore)
+   *
+   * @param {Object[]} buffer - Buffered content
+   * @param {number} limit - Items kept
+   * @param {string|null} tribe - Tribal affiliation of the buffer's owner
+   * @returns {Object[]} The content kept
+   */
+  triageBuffer(buffer, limit, tribe) {
+    const kept = new Uint8Array(buffer.length);
+    buffer
+      .map((content, index) => ({ index, priority: this.contentPriority(content, tribe) }))
+      .sort((a, b) => b.priority - a.priority || b.index - a.index)
+      .slice(0, limit)
+      .forEach(({ index }) => { kept[index] = 1; });
+
+    return buffer.filter((content, index) => {
+      if (kept[index]) return true;
+
+      const cascade = this.cascades.get(content);
+      if (cascade) this.cascades.drop(cascade);
+      return false;
+    });
+  }
+
+  /**
+   * What an overloaded reader holds on to: the recent (1 for this step's
+   * posts, falling with age), its own tribe's content (+1), and content from
+   * a source with aura (+ the creator's aura_strength). Ties keep the later
+   * arrival.
+   */
+  contentPriority(content, tribe) {
+    const recency = content.posted_at == null ? 0 : 1 / (1 + this.step - content.posted_at);
+    const in_group = content.tribal_marker != null && content.tribal_marker === tribe ? 1 : 0;
+    const source = this.nodes[content.creator];
+
+    return recency + in_group + (source ? source.aura_strength : 0);
+  }
+
+  /**
+   * Send last step's reshares one hop further, each to up to reshare_reach
+   * (default 10) of the resharer's own connections
+   */
+  propagateCascades() {
+    const reshare_reach = this.config.reshare_reach ?? 10;
+
+    this.cascades.takeReshares().forEach(({ node: id, content }) => {
+      const cascade = this.cascades.get(content);
+      const sharer = this.nodes[id];
+      this.cascades.sent(cascade);
+
+      const connections = [
+        ...sharer.embodied_connections,
+        ...sharer.print_connections,
+        ...sharer.broadcast_connections,
+        ...sharer.internet_connections,
+        ...sharer.algorithmic_connections
+      ];
+
+      const reach = Math.min(connections.length, Math.floor(this.rng() * reshare_reach) + 1);
+      for (let j = 0; j < reach; j++) {
+        const edge = connections[Math.floor(this.rng() * connections.length)];
+        this.nodes[edge.target].information_buffer.push(content);
+        this.cascades.deliver(cascade, id, edge.target, this.step);
+      }
+    });
+  }
+
+  /**
+   * Reshare decisions for content consumed this step, then close finished
+   * cascades
+   *
+   * Each node decides once per cascade, on first consuming it; content it
+   * rejected is not passed on. Shared by both backends (NodeStore passes its
+   * own consumption list and tribe lookup).
+   *
+   * @param {Array} consumption - [node id, content, accepted] in consumption order
+   * @param {Function} tribeOf - node id → tribal affiliation
+   */
+  updateCascades(consumption, tribeOf) {
+    consumption.forEach(([id, content, accepted]) => {
+      const cascade = this.cascades.get(content);
+      if (!cascade || !this.cascades.consume(cascade, id) || !accepted) return;
+
+      if (this.rng() < this.calculateReshareProbability(content, tribeOf(id))) {
+        this.cascades.queueReshare(cascade, id, content);
+      }
+    });
+
+    this.cascades.settle();
+  }
+
+  /**
+   * Probability that a recipient passes content on
+   *
+   * reshare_probability (default 0.02), tripled for inflammatory content,
+   * doubled when it carries the recipient's own tribal marker, and boosted
+   * by the feed's engagement optimization (× 1 + algorithm_engagement_weight)
+   */
+  calculateReshareProbability(content, tribe) {
+    const base = this.config.reshare_probability ?? 0.02;
+    const inflammatory = content.type === 'ragebait' ? 3 : 1;
+    const tribal = content.tribal_marker != null && content.tribal_marker === tribe ? 2 : 1;
+    const boost = 1 + (this.config.algorithm_engagement_weight || 0);
+
+    return Math.min(1, base * inflammatory * tribal * boost);
+  }
+
+  /**
+   * Rewire the network in response to what flowed over it
+   *
+   * THEORETICAL FOUNDATION: HOMOPHILY AS A PROCESS
+   *
+   * "Birds of a feather" (McPherson, Smith-Lovin & Cook, 2001) is usually
+   * read as a starting condition: similar people are already connected. But
+   * who follows whom keeps changing, and each change is a small choice made
+   * in response to content - muting whoever keeps enraging you, blocking the
+   * other side, following whoever everyone else follows. An echo chamber is
+   * the sum of those choices, not only of the links the platform suggested
+   * at sign-up.
+   *
+   * Ragebait consumed is tallied every step, per (follower, creator) pair.
+   * Every rewiring_interval steps (default 10; 0 = never) the network is
+   * rewired, in this order:
+   *
+   * 1. Burnout: a creator whose parasocial_followers fell below its mediated
+   *    ties (FeedbackLoop burnout halves them) loses its weakest ones to match
+   * 2. Unfollowing: a follower who has consumed unfollow_threshold (default 3)
+   *    ragebait posts by a creator drops every mediated tie from them (friends
+   *    are not unfollowed over a post)
+   * 3. Tie cutting: each tribe member, with probability tie_cut_rate (default
+   *    0.05) × its escalation X, blocks a member of another tribe it reaches -
+   *    every tie between the two, either way, is cut
+   * 4. Preferential attachment: follow_rate (default 0.01) of online nodes
+   *    each follow a creator picked in proportion to follower count (Barabási
+   *    & Albert, 1999) - by algorithmic feed on a smartphone in eras with
+   *    engagement optimization, by internet otherwise
+   *
+   * Nodes whose followers changed are recounted and their role re-determined
+   * (see updateRole). Shared by both backends; an attached NodeStore has its
+   * CSR edges rebuilt.
+   *
+   * @param {Array} consumption - [node id, content, accepted] consumed this step
+   * @param {Function} tribeOf - node id → tribal affiliation
+   */
+  rewireNetwork(consumption, tribeOf) {
+    const n = this.nodes.length;
+    const { exposure, totals } = this.rewiring;
+
+    consumption.forEach(([id, content]) => {
+      if (content.type !== 'ragebait' || content.creator == null || content.creator === id) return;
+      const key = id * n + content.creator;
+      exposure.set(key, (exposure.get(key) || 0) + 1);
+    });
+
+    const interval = this.config.rewiring_interval ?? 10;
+    if (interval <= 0 || (this.step + 1) % interval !== 0) return;
+
+    const removed = new Set();
+    const changed = new Set(); // Ids of nodes whose followers changed
+    const cut = (edge) => {
+      if (removed.has(edge)) return 0;
+      removed.add(edge);
+      changed.add(edge.source);
+      return 1;
+    };
+
+    // 1. Burnout: the edges follow the follower count
+    this.nodes.forEach((node) => {
+      const mediated = MEDIATED_CONNECTION_KEYS.reduce((sum, key) => sum + node[key].length, 0);
+      const excess = mediated - node.parasocial_followers;
+      if (excess <= 0) return;
+
+      MEDIATED_CONNECTION_KEYS.flatMap((key) => node[key])
+        .sort((a, b) => a.strength - b.strength)
+        .slice(0, excess)
+        .forEach((edge) => { totals.lost_to_burnout += cut(edge); });
+    });
+
+    // 2. Unfollowing after repeated ragebait
+    const threshold = this.config.unfollow_threshold ?? 3;
+    const unfollowers = new Map(); // creator id → follower ids
+    exposure.forEach((count, key) => {
+      if (count < threshold) return;
+      exposure.delete(key);
+
+      const creator = key % n;
+      const follower = (key - creator) / n;
+      if (!unfollowers.has(creator)) unfollowers.set(creator, new Set());
+      unfollowers.get(creator).add(follower);
+    });
+    unfollowers.forEach((followers, creator) => {
+      MEDIATED_CONNECTION_KEYS.forEach((key) => {
+        this.nodes[creator][key].forEach((edge) => {
+          if (followers.has(edge.target)) totals.unfollowed += cut(edge);
+        });
+      });
+    });
+
+    // 3. Cutting ties across tribal lines
+    const cut_rate = this.config.tie_cut_rate ?? 0.05;
+    if (cut_rate > 0) {
+      this.nodes.forEach((node) => {
+        const tribe = tribeOf(node.id);
+        if (tribe == null || this.rng() >= cut_rate * node.schismogenesis_state.X) return;
+
+        const across = CONNECTION_KEYS.flatMap((key) => node[key]).filter((edge) => {
+          const other = tribeOf(edge.target);
+          return other != null && other !== tribe && !removed.has(edge);
+        });
+        if (across.length === 0) return;
+
+        const blocked = this.nodes[across[Math.floor(this.rng() * across.length)].target];
+        [[node, blocked], [blocked, node]].forEach(([source, target]) => {
+          CONNECTION_KEYS.forEach((key) => {
+            source[key].forEach((edge) => {
+              if (edge.target === target.id) totals.severed += cut(edge);
+            });
+          });
+        });
+      });
+    }
+
+    // 4. Following popular creators
+    const online = this.nodes.filter((node) => node.has_internet_access);
+    const follows = Math.floor(online.length * (this.config.follow_rate ?? 0.01));
+    const creators = this.nodes.filter((node) => node.role !== 'consumer' && node.follower_count > 0);
+    if (follows > 0 && creators.length > 0) {
+      const cumulative = [];
+      let total = 0;
+      creators.forEach((node) => cumulative.push((total += node.follower_count)));
+      const algorithmic = this.config.algorithm_engagement_weight > 0;
+
+      for (let f = 0; f < follows; f++) {
+        const follower = online[Math.floor(this.rng() * online.length)];
+        const pick = this.rng() * total;
+        let lo = 0;
+        let hi = cumulative.length - 1;
+        while (lo < hi) {
+          const mid = (lo + hi) >> 1;
+          if (cumulative[mid] > pick) hi = mid;
+          else lo = mid + 1;
+        }
+
+        const creator = creators[lo];
+        if (creator === follower) continue;
+        // Already following: a second edge would count the follower twice
+        const tied = CONNECTION_KEYS.some((key) =>
+          creator[key].some((edge) => edge.target === follower.id && !removed.has(edge))
+        );
+        if (tied) continue;
+
+        const medium = algorithmic && follower.has_smartphone ? 'algorithmic' : 'internet';
+        this.createEdge(creator, follower, medium, this.rng() * 0.6); // As internet ties
+        changed.add(creator.id);
+        totals.followed++;
+      }
+    }
+
+    if (changed.size === 0) return;
+
+    if (removed.size > 0) {
+      changed.forEach((id) => {
+        const node = this.nodes[id];
+        CONNECTION_KEYS.forEach((key) => {
+          if (node[key].some((edge) => removed.has(edge))) {
+            node[key] = node[key].filter((edge) => !removed.has(edge));
+          }
+        });
+      });
+
+      // In place: network_data.edges is the same array
+      let kept = 0;
+      this.edges.forEach((edge) => {
+        if (!removed.has(edge)) this.edges[kept++] = edge;
+      });
+      this.edges.length = kept;
+    }
+
+    // Roles follow the new follower counts
+    changed.forEach((id) => {
+      const node = this.nodes[id];
+      node.follower_count = CONNECTION_KEYS.reduce((sum, key) => sum + node[key].length, 0);
+      node.embodied_followers = node.embodied_connections.length;
+      node.parasocial_followers = node.follower_count - node.embodied_followers;
+      this.updateRole(node);
+    });
+    if (changed.size > 0) this.rankInfluencers();
+
+    this.homophily_cache = null;
+    this.edge_revision++;
+    if (this.store) {
+      this.store.buildEdges();
+    }
+  }
+
+  /**
+   * Schedule an Intervention (see Intervention.js)
+   *
+   * It is applied at the start of the update() that advances from
+   * intervention.step - or at the next update() if that step has passed.
+   * Scheduled interventions are not part of snapshots.
+   */
+  scheduleIntervention(intervention) {
+    this.interventions.push(intervention);
+    return this;
+  }
+
+  /**
+   * Apply scheduled interventions whose step has come, in schedule order
+   */
+  applyDueInterventions() {
+    if (this.interventions.length === 0) return;
+
+    const due = this.interventions.filter((i) => i.step <= this.step);
+    if (due.length === 0) return;
+    this.interventions = this.interventions.filter((i) => i.step > this.step);
+
+    due.forEach((intervention) => {
+      const metrics_before = this.getMetrics();
+      const entry = { ...intervention.apply(this), metrics_before };
+      this.intervention_log.push(entry);
+
+      const summary = entry.effects.map((effect) => {
+        if (effect.changes) {
+          return Object.entries(effect.changes).map(([key, { from, to }]) => `${key} ${from} → ${to}`).join(', ');
+        }
+        const parts = [];
+        if (effect.count !== undefined) parts.push(`${effect.count} ${effect.label}`);
+        if (effect.created !== undefined) parts.push(`${effect.created} ${effect.label} created`);
+        return parts.join(', ');
+      }).join('; ');
+      this.logger.log(`Intervention "${entry.name}" at step ${entry.step}: ${summary}`);
+    });
   }
 
   /**
@@ -1148,31 +2055,47 @@ export class NetworkGenerator {
    */
   generateContent() {
     // Content generation rate depends on era
-    const content_rate = this.config.inflammatory_content_ratio || 0.1;
+    const content_rate = this.config.inflammatory_content_ratio ?? 0.1;
     const num_contents = Math.floor(this.nodes.length * content_rate * 0.01);
+    const friction = this.config.feed_friction ?? 0;
 
     for (let i = 0; i < num_contents; i++) {
-      // Pick a random creator or broadcaster
+      // Pick a random creator or broadcaster (not one who broke through and left)
       const creators = this.nodes.filter(
-        (n) => n.role === 'creator' || n.role === 'broadcaster' || n.role === 'influencer'
+        (n) =>
+          (n.role === 'creator' || n.role === 'broadcaster' || n.role === 'influencer') &&
+          !n.wants_to_leave
       );
 
       if (creators.length === 0) continue;
 
-      const creator = creators[Math.floor(Math.random() * creators.length)];
+      const creator = creators[Math.floor(this.rng() * creators.length)];
 
       // Create content
-      // Influencers produce 90% inflammatory content
-      const inflammatory_rate = creator.is_influencer ? 0.9 : content_rate;
-      const is_inflammatory = Math.random() < inflammatory_rate;
-
+      // Influencers produce 90% inflammatory content; learned inflammatory_score
+      // pushes any creator's rate toward 100%, feed friction damps it
+      const base_rate = creator.is_influencer ? 0.9 : content_rate;
+      const inflammatory_rate =
+        (base_rate + (1 - base_rate) * creator.inflammatory_score) * (1 - friction);
+      const is_inflammatory = this.rng() < inflammatory_rate;
+
+      // Information value is not fixed here: it depends on who receives it
+      // (Node.calculateInformationValue). Whether it is believed depends on
+      // the recipient's trust in its source type (Node.acceptanceProbability)
+      const source_type = getSourceType(creator.role, creator.is_influencer);
       const content = {
         type: is_inflammatory ? 'ragebait' : 'normal',
-        information_value: is_inflammatory ? -0.5 : Math.random() * 0.3,
+        novelty: this.rng(),
         trust_value: creator.role === 'broadcaster' ? 0.7 : 0.5,
-        actionable: Math.random() < 0.3,
-        challenges_understanding: Math.random() < 0.2
+        actionable: this.rng() < 0.3,
+        challenges_understanding: this.rng() < 0.2,
+        tribal_marker: creator.schismogenesis_state.tribal_affiliation,
+        creator: creator.id,
+        posted_at: this.step,
+        source_type,
+        accuracy: drawContentAccuracy(source_type, is_inflammatory, this.rng)
       };
+      const cascade = this.cascades.start(creator.id, content, this.step);
 
       // Distribute to connected nodes
       const connections = [
@@ -1184,22 +2107,28 @@ export class NetworkGenerator {
       ];
 
       // Add content to random subset of connections
-      const reach = Math.min(connections.length, Math.floor(Math.random() * 50) + 10);
+      const reach = Math.min(connections.length, Math.floor(this.rng() * 50) + 10);
+      let delivered = 0;
       for (let j = 0; j < reach; j++) {
-        const edge = connections[Math.floor(Math.random() * connections.length)];
+        const edge = connections[Math.floor(this.rng() * connections.length)];
         if (edge) {
           const target_node = this.nodes[edge.target];
           if (target_node && target_node.information_buffer) {
             target_node.information_buffer.push(content);
+            this.cascades.deliver(cascade, creator.id, target_node.id, this.step);
+            delivered++;
           }
         }
       }
 
+      // Inflammatory content draws twice the engagement per recipient
+      const engagement_multiplier = is_inflammatory ? 2.0 : 1.0;
+      creator.recordPost(content, delivered * engagement_multiplier, this.step);
+
       // PLATFORM EXTRACTION (Algorithmic era only)
       if (this.era === 'algorithmic_era' && creator.follower_count > 0) {
         // Calculate engagement-based revenue
         // More followers + inflammatory content = more engagement = more revenue
-        const engagement_multiplier = is_inflammatory ? 2.0 : 1.0;
         const base_revenue_per_follower = 0.001; // $0.001 per follower per post (CPM model)
         const gross_revenue = creator.follower_count * base_revenue_per_follower * engagement_multiplier;
 
@@ -1232,13 +2161,17 @@ export class NetworkGenerator {
    * Calculate network metrics
    */
   getMetrics() {
+    if (this.store) {
+      return this.store.getMetrics();
+    }
+
     const metrics = {
       // Cognitive health
       avg_cognitive_load: this.average(
         this.nodes.map((n) => n.cognitive_load)
       ),
       percent_overloaded:
-        this.nodes.filter((n) => n.cognitive_load > n.cognitive_capacity)
+        this.nodes.filter((n) => n.cognitive_load >= n.cognitive_capacity)
           .length / this.nodes.length,
 
       // Homeostasis
@@ -1253,6 +2186,11 @@ export class NetworkGenerator {
       avg_trust_coherence: this.average(
         this.nodes.map((n) => n.trust_coherence)
       ),
+      avg_institutional_trust: this.average(
+        this.nodes.map((n) => n.institutional_trust)
+      ),
+      misinformation_acceptance: this.calculateMisinformationAcceptance(),
+      trust_network_fragmentation: this.calculateTrustFragmentation(),
 
       // Connections
       avg_embodied_connections: this.average(
@@ -1266,9 +2204,28 @@ export class NetworkGenerator {
       avg_emotional_agitation: this.average(
         this.nodes.map((n) => n.emotional_state)
       ),
+      avg_emotional_regulation: this.average(
+        this.nodes.map((n) => n.emotional_regulation)
+      ),
+      avg_doom_scroll_addiction: this.average(
+        this.nodes.map((n) => n.doom_scroll_addiction)
+      ),
+      doom_scroll_prevalence:
+        this.nodes.filter((n) => n.doom_scroll_addiction > 0.5).length /
+        this.nodes.length,
+      avg_attention_available: this.average(
+        this.nodes.map((n) => n.getAttentionAvailable())
+      ),
+
+      // Information ecology (content consumed in the last step)
+      ...this.calculateInformationIntake(),
+      ...this.calculateBacklog(),
 
       // Schismogenesis
       tribal_polarization: this.calculateTribalPolarization(),
+      faction_polarization: this.calculateFactionPolarization(),
+      ...this.calculateComplementaryDivergence(),
+      tribal_homophily: this.calculateTribalHomophily(),
 
       // Double binds
       percent_in_double_bind:
@@ -1278,14 +2235,72 @@ export class NetworkGenerator {
         this.nodes.filter((n) => n.double_bind.pathological_adaptation).length /
         this.nodes.length,
 
-      // Influencers
+      // Influencers and roles
       influencer_count: this.nodes.filter((n) => n.is_influencer).length,
-      avg_influencer_followers: this.calculateAvgInfluencerFollowers()
+      avg_influencer_followers: this.calculateAvgInfluencerFollowers(),
+      ...this.calculateRoleTransitions(),
+
+      // Feedback ecology
+      positive_feedback_loops: this.feedback_loops.filter((l) => l.type === 'positive').length,
+      negative_feedback_loops: this.feedback_loops.filter((l) => l.type === 'negative').length,
+
+      // Learning levels (among nodes that have posted)
+      ...this.calculateLearningDistribution(),
+
+      // Cascades (completed ones, since the start of the run)
+      ...this.cascades.getMetrics(),
+
+      // Network rewiring (since the start of the run)
+      ...this.getRewiringMetrics()
     };
 
     return metrics;
   }
 
+  /**
+   * Calculate per-group metric breakdowns (by role and by tribe)
+   *
+   * Network-wide averages hide WHO is carrying the load: the same average
+   * agitation can mean everyone is mildly stirred, or that influencers are
+   * burning out while consumers stay calm. Breakdowns keep that distinction.
+   */
+  getBreakdownMetrics() {
+    return {
+      by_role: this.groupMetrics((n) => n.role),
+      by_tribe: this.groupMetrics((n) => n.schismogenesis_state.tribal_affiliation || 'none'),
+      faction_distance: this.calculateFactionDistances()
+    };
+  }
+
+  /**
+   * Summarize node state for each group returned by key_fn(node)
+   */
+  groupMetrics(key_fn) {
+    const groups = {};
+    this.nodes.forEach((node) => {
+      const key = key_fn(node);
+      if (!groups[key]) groups[key] = [];
+      groups[key].push(node);
+    });
+
+    const breakdown = {};
+    Object.entries(groups).forEach(([key, nodes]) => {
+      breakdown[key] = {
+        count: nodes.length,
+        avg_cognitive_load: this.average(nodes.map((n) => n.cognitive_load)),
+        avg_emotional_agitation: this.average(nodes.map((n) => n.emotional_state)),
+        percent_within_homeostatic_range:
+          nodes.filter((n) => n.within_homeostatic_range).length / nodes.length,
+        avg_regulatory_capacity: this.average(nodes.map((n) => n.regulatory_capacity)),
+        avg_escalation: this.average(nodes.map((n) => n.schismogenesis_state.X)),
+        percent_in_double_bind:
+          nodes.filter((n) => n.double_bind.in_double_bind).length / nodes.length
+      };
+    });
+
+    return breakdown;
+  }
+
   /**
    * Calculate average follower count for influencers
    */
@@ -1297,6 +2312,180 @@ export class NetworkGenerator {
     return Math.round(totalFollowers / influencers.length);
   }
 
+  /**
+   * Share of posting nodes at each learning level, and their average learned
+   * inflammatory_score
+   */
+  calculateLearningDistribution() {
+    const learners = this.nodes.filter((n) => n.posts_created > 0);
+    const share = (level) => learners.length === 0 ? 0 :
+      learners.filter((n) => n.learning_level === level).length / learners.length;
+
+    return {
+      percent_learning_level_0: share(0),
+      percent_learning_level_1: share(1),
+      percent_learning_level_2: share(2),
+      percent_learning_level_3: share(3),
+      avg_inflammatory_score: this.average(learners.map((n) => n.inflammatory_score))
+    };
+  }
+
+  /**
+   * Complementary schismogenesis: average dominance of hubs, average
+   * submission of their followers, and the divergence between them
+   *
+   * Divergence = dominance - audience standing (1 - submission): 0 at
+   * parity, approaching 1 as the hierarchy hardens.
+   */
+  calculateComplementaryDivergence() {
+    const position = (p) => this.nodes.filter((n) => n.schismogenesis_state.complementary_position === p);
+    const dominant = position('dominant');
+    const submissive = position('submissive');
+    const dominance = this.average(dominant.map((n) => n.schismogenesis_state.X));
+    const submission = this.average(submissive.map((n) => n.schismogenesis_state.X));
+
+    return {
+      complementary_dominance: dominance,
+      complementary_submission: submission,
+      complementary_divergence: dominant.length + submissive.length === 0 ? 0 : dominance - (1 - submission)
+    };
+  }
+
+  /**
+   * Per-recipient information value of the content consumed in the last
+   * step, and the share of it that was echo-chamber redundancy
+   */
+  calculateInformationIntake() {
+    let consumed = 0;
+    let redundant = 0;
+    let value = 0;
+    this.nodes.forEach((node) => {
+      consumed += node.content_consumed;
+      redundant += node.redundant_consumed;
+      value += node.information_value_consumed;
+    });
+
+    return {
+      avg_information_value: consumed === 0 ? 0 : value / consumed,
+      percent_redundant_content: consumed === 0 ? 0 : redundant / consumed
+    };
+  }
+
+  /**
+   * Content waiting in buffers at the end of the step, and the share of the
+   * content leaving buffers in the last step that was dropped unread
+   */
+  calculateBacklog() {
+    let backlog = 0;
+    let max_backlog = 0;
+    let consumed = 0;
+    let dropped = 0;
+    this.nodes.forEach((node) => {
+      const length = node.information_buffer.length;
+      backlog += length;
+      max_backlog = Math.max(max_backlog, length);
+      consumed += node.content_consumed;
+      dropped += node.content_dropped;
+    });
+
+    return {
+      avg_buffer_backlog: backlog / this.nodes.length,
+      max_buffer_backlog: max_backlog,
+      content_drop_rate: consumed + dropped === 0 ? 0 : dropped / (consumed + dropped)
+    };
+  }
+
+  /**
+   * Share of the misinformation consumed in the last step that was believed
+   */
+  calculateMisinformationAcceptance() {
+    let consumed = 0;
+    let accepted = 0;
+    this.nodes.forEach((node) => {
+      consumed += node.misinformation_consumed;
+      accepted += node.misinformation_accepted;
+    });
+
+    return consumed === 0 ? 0 : accepted / consumed;
+  }
+
+  /**
+   * Mean escalation X of each faction
+   *
+   * @returns {Object[]} One { label, count, escalation } per faction label
+   */
+  calculateFactionEscalation() {
+    const labels = this.getFactionLabels();
+    const sums = labels.map(() => 0);
+    const counts = labels.map(() => 0);
+
+    this.nodes.forEach((node) => {
+      const index = labels.indexOf(node.schismogenesis_state.tribal_affiliation);
+      if (index < 0) return;
+      sums[index] += node.schismogenesis_state.X;
+      counts[index]++;
+    });
+
+    return labels.map((label, index) => ({
+      label,
+      count: counts[index],
+      escalation: counts[index] === 0 ? 0 : sums[index] / counts[index]
+    }));
+  }
+
+  /**
+   * Distance between two factions escalating toward their own poles
+   *
+   * Factions sit at the corners of a regular simplex around a neutral centre
+   * (no pair closer than another), each moved out from the centre by its mean
+   * escalation. Normalized so two factions fully escalated (X = 1) are 1
+   * apart; with two factions this is simply (X_f + X_g) / 2.
+   */
+  factionDistance(x_f, x_g, faction_count) {
+    const pull = 2 / (faction_count - 1); // -2·cos of the angle between poles
+    return Math.sqrt(x_f * x_f + x_g * x_g + pull * x_f * x_g) / Math.sqrt(2 + pull);
+  }
+
+  /**
+   * Mean distance over all pairs of (non-empty) factions
+   *
+   * @param {Object[]} [factions] - calculateFactionEscalation() output
+   */
+  calculateFactionPolarization(factions = this.calculateFactionEscalation()) {
+    const present = factions.filter((f) => f.count > 0);
+    let total = 0;
+    let pairs = 0;
+
+    for (let f = 0; f < present.length; f++) {
+      for (let g = f + 1; g < present.length; g++) {
+        total += this.factionDistance(present[f].escalation, present[g].escalation, factions.length);
+        pairs++;
+      }
+    }
+
+    return pairs === 0 ? 0 : total / pairs;
+  }
+
+  /**
+   * Full faction distance matrix: { A: { A: 0, B: d, ... }, B: { ... } }
+   * (non-empty factions only)
+   */
+  calculateFactionDistances() {
+    const factions = this.calculateFactionEscalation();
+    const present = factions.filter((f) => f.count > 0);
+    const matrix = {};
+
+    present.forEach((f) => {
+      matrix[f.label] = {};
+      present.forEach((g) => {
+        matrix[f.label][g.label] =
+          f === g ? 0 : this.factionDistance(f.escalation, g.escalation, factions.length);
+      });
+    });
+
+    return matrix;
+  }
+
   /**
    * Calculate tribal polarization
    */
@@ -1309,6 +2498,88 @@ export class NetworkGenerator {
     return this.average(tribal_nodes.map((n) => n.schismogenesis_state.X));
   }
 
+  /**
+   * Share of ties between tribe members that stay within one tribe
+   *
+   * 0 when no tie joins two tribe members. Rises as ties across tribal lines
+   * are cut (see rewireNetwork) - the echo chamber closing. Cached until the
+   * edges change.
+   */
+  calculateTribalHomophily() {
+    if (this.homophily_cache === null) {
+      const tribes = this.nodes.map((n) => n.schismogenesis_state.tribal_affiliation);
+      let within = 0;
+      let across = 0;
+
+      this.edges.forEach((edge) => {
+        const source = tribes[edge.source];
+        const target = tribes[edge.target];
+        if (source == null || target == null) return;
+        if (source === target) within++;
+        else across++;
+      });
+
+      this.homophily_cache = within + across === 0 ? 0 : within / (within + across);
+    }
+    return this.homophily_cache;
+  }
+
+  /**
+   * Mean difference in institutional trust across ties, over every medium
+   *
+   * 0 while neighbours trust institutions alike; rises as trust decays
+   * unevenly and the people a node hears from stop believing the same
+   * sources (Algorithm.md: trust_network_fragmentation). 1 would mean every
+   * tie joins full trust to none.
+   */
+  calculateTrustFragmentation() {
+    let ties = 0;
+    let difference = 0;
+
+    // Millions of edges in the large eras: read trust from a flat copy
+    const trust = Float64Array.from(this.nodes, (n) => n.institutional_trust);
+
+    this.nodes.forEach((node, i) => {
+      CONNECTION_KEYS.forEach((key) => {
+        const edges = node[key];
+        for (let k = 0; k < edges.length; k++) {
+          difference += Math.abs(trust[i] - trust[edges[k].target]);
+        }
+        ties += edges.length;
+      });
+    });
+
+    return ties === 0 ? 0 : difference / ties;
+  }
+
+  /**
+   * Ties changed by rewireNetwork() since the start of the run
+   */
+  getRewiringMetrics() {
+    const { unfollowed, severed, lost_to_burnout, followed } = this.rewiring.totals;
+    return {
+      ties_unfollowed: unfollowed,
+      ties_severed: severed,
+      ties_lost_to_burnout: lost_to_burnout,
+      ties_followed: followed
+    };
+  }
+
+  /**
+   * Role transitions in the last step, and how many were moves up or down
+   * the consumer → creator → broadcaster → influencer ladder
+   */
+  calculateRoleTransitions() {
+    const rank = { consumer: 0, creator: 1, broadcaster: 2, influencer: 3 };
+    const promotions = this.role_transitions.filter(({ from, to }) => rank[to] > rank[from]).length;
+
+    return {
+      role_transitions: this.role_transitions.length,
+      role_promotions: promotions,
+      role_demotions: this.role_transitions.length - promotions
+    };
+  }
+
   /**
    * Calculate average of array
    */
@@ -47,8 +47,11 @@
  * D. COGNITIVE LOAD AND ATTENTION
  *    - Miller's Law: cognitive_capacity = 7 (chunks)
  *    - information_buffer queues incoming content
- *    - Processing rate limits consumption
- *    - Overload occurs when load > capacity
+ *    - Processing rate limits consumption, scaled by the attention the
+ *      current load leaves (none at capacity)
+ *    - Load never exceeds capacity, whatever adds to it; an overloaded node
+ *      (load at capacity) keeps only as many items as it has chunks and
+ *      drops the rest (NetworkGenerator.shedBacklog)
  *
  * WHY DIFFERENTIAL EQUATIONS?
  *
@@ -79,8 +82,21 @@
  * The equations don't change. The ENVIRONMENT changes. That's the point.
  */
 
+import { MISINFORMATION_THRESHOLD } from './config.js';
+
 export class Node {
-  constructor(id, config) {
+  /**
+   * @param {number} id - Node index within the network
+   * @param {Object} config - Era configuration (see ERA_CONFIGS)
+   * @param {Function} rng - Random source returning [0, 1). Pass the generator's
+   *   seeded RNG so that intrinsic properties are reproducible from the seed.
+   */
+  constructor(id, config, rng = Math.random) {
+    // ===== RANDOMNESS =====
+    // Every stochastic draw goes through this source (never Math.random directly)
+    // so that one seed reproduces both the network and its trajectory
+    this.rng = rng;
+
     // ===== IDENTITY =====
     this.id = id;
     this.role = 'consumer'; // Will be computed from follower_count (emergent)
@@ -100,9 +116,9 @@ export class Node {
     // - Only fully works face-to-face (embodied)
     // - Can be partially mediated through technology
     // - Can be performed (but costs emotional labor)
-    this.has_aura = Math.random() < 0.08; // 8% have natural aura
-    this.aura_strength = this.has_aura ? 0.6 + Math.random() * 0.4 : 0; // 0.6-1.0 if present
-    this.aura_performance_skill = Math.random(); // Learned ability to simulate aura
+    this.has_aura = rng() < 0.08; // 8% have natural aura
+    this.aura_strength = this.has_aura ? 0.6 + rng() * 0.4 : 0; // 0.6-1.0 if present
+    this.aura_performance_skill = rng(); // Learned ability to simulate aura
     this.performing_aura = false; // Active choice (economic necessity)
     this.performance_fatigue = 0; // Emotional labor cost (0-1)
 
@@ -114,9 +130,28 @@ export class Node {
 
     // ===== CONTENT PROPERTIES: What drives follower accumulation =====
     // THEORETICAL FOUNDATION: Different eras reward different qualities
-    this.content_quality = Math.random(); // Intrinsic talent (writing, speaking, ideas)
-    this.inflammatory_level = Math.random(); // Provocativeness, outrage potential
-    this.posting_frequency = Math.random(); // Activity level, consistency
+    this.content_quality = rng(); // Intrinsic talent (writing, speaking, ideas)
+    this.inflammatory_level = rng(); // Provocativeness, outrage potential
+    this.posting_frequency = rng(); // Activity level, consistency
+
+    // ===== LEARNING: Bateson's logical types =====
+    // THEORETICAL FOUNDATION: "Steps to an Ecology of Mind" (Learning 0/I/II/III)
+    // - Learning I: "this post got engagement" changes what you post
+    // - Learning II: "inflammatory content wins" changes who you are
+    // - Learning III: seeing the trap - breakthrough or breakdown
+    this.posts_created = 0;
+    this.inflammatory_score = 0; // Learned tendency to post ragebait (0-1)
+    this.learning_level = 0; // 0, 1, 2 or 3 (discrete logical types)
+    this.learning_progress = 0; // 0-1, progress toward next level
+    this.learning_history = []; // Recent posts: { step, content_type, engagement }
+    this.learned_behaviors = {
+      content_strategy: null, // What they've learned works
+      engagement_patterns: [], // What gets rewarded (Learning I)
+      algorithm_awareness: 0, // 0-1, understanding of manipulation
+      meta_patterns_recognized: [], // Learning II and III insights
+      character_changes: [] // Permanent transformations
+    };
+    this.wants_to_leave = false; // Learning III breakthrough: stops posting
 
     // ===== PLATFORM EXTRACTION (Algorithmic era) =====
     // THEORETICAL FOUNDATION: Surveillance capitalism (Zuboff)
@@ -134,7 +169,7 @@ export class Node {
     // ===== COGNITIVE DYNAMICS =====
     this.cognitive_load = 0;
     this.cognitive_capacity = 7; // Miller's Law: 7±2 chunks
-    this.attention_available = 1.0; // 0 to 1
+    this.attention_available = 1.0; // 0.5 to 1: what doom-scrolling leaves (see getAttentionAvailable)
 
     // Homeostatic regulation (Bateson/Ashby)
     this.homeostatic_setpoint = 0.5;
@@ -155,6 +190,7 @@ export class Node {
       k2: 0.1, // Coupling constant: how much X drives dY/dt
       type: null, // 'symmetrical', 'complementary', or null
       tribal_affiliation: null, // Which tribe this node belongs to
+      complementary_position: null, // 'dominant' or 'submissive' (complementary only)
       escalation_history: [] // Track escalation over time
     };
 
@@ -167,9 +203,9 @@ export class Node {
       B: 0, // Blocking strength (network effects trap strength)
       R: 1.0, // Regulatory capacity (ability to cope)
       H: 1.0, // Homeostatic capacity (system integrity)
-      alpha: 0.3, // Stress accumulation rate
-      beta: 0.2, // Stress relief rate
-      gamma: 0.1, // Regulatory degradation rate
+      alpha: config.double_bind_alpha ?? 0.3, // Stress accumulation rate
+      beta: config.double_bind_beta ?? 0.2, // Stress relief rate
+      gamma: config.double_bind_gamma ?? 0.1, // Regulatory degradation rate
       in_double_bind: false,
       pathological_adaptation: false // S > 0.9
     };
@@ -181,7 +217,7 @@ export class Node {
 
     // ===== TRUST =====
     this.trust_coherence = 1.0; // Internal consistency of trust signals
-    this.institutional_trust = config.institutional_trust || 0.7;
+    this.institutional_trust = config.institutional_trust || 0.7; // Moves with intake (updateInstitutionalTrust)
 
     // ===== CONNECTIONS (by medium) =====
     this.embodied_connections = []; // Face-to-face
@@ -192,9 +228,21 @@ export class Node {
 
     // ===== INFORMATION FLOW =====
     this.information_exposure_rate = 0; // Messages per time step
-    this.information_processing_rate = 3; // Can process N messages per step
+    this.information_processing_rate = 3; // Can process N messages per step (at full attention)
     this.information_buffer = []; // Queued content
 
+    // Intake of the last processInformation() call (value is per recipient)
+    this.content_consumed = 0;
+    this.redundant_consumed = 0; // Echo-chamber redundancy
+    this.information_value_consumed = 0;
+    this.ragebait_consumed = 0;
+    this.source_consistency = 1; // Trust-weighted share that was not ragebait
+    this.misinformation_consumed = 0; // Content below MISINFORMATION_THRESHOLD accuracy
+    this.misinformation_accepted = 0; // ... of which the node believed
+    this.content_dropped = 0; // Buffered content dropped unread in the last step
+    this.consumed_content = []; // [content, accepted] consumed (accepted = reshare candidate)
+    this.feed_limit = null; // Most items the feed shows per step (FeedRanker session limit)
+
     // ===== SPATIAL POSITION (for visualization) =====
     this.position = { x: 0, y: 0, z: 0 };
   }
@@ -218,6 +266,10 @@ export class Node {
       // Both parties escalate in same direction
       dX_dt = k1 * Y;
       dY_dt = k2 * X;
+    } else if (type === 'complementary' && state.complementary_position === 'submissive') {
+      // Followers mirror their leader's pair (FeedbackLoop.executeComplementarySchismogenesis)
+      dX_dt = 0;
+      dY_dt = 0;
     } else if (type === 'complementary') {
       // Complementary schismogenesis: dX/dt = k₁·Y, dY/dt = -k₂·X
       // Differentiation: dominance/submission
@@ -375,21 +427,67 @@ export class Node {
    * Process information buffer (consume queued content)
    */
   processInformation() {
+    // The attention left over by the load already carried sets the intake
+    const attended = Math.ceil(this.information_processing_rate * this.getAttentionAvailable());
     const processable = Math.min(
-      this.information_processing_rate,
-      this.information_buffer.length
+      attended,
+      this.information_buffer.length,
+      this.feed_limit ?? Infinity
     );
 
+    this.content_consumed = processable;
+    this.redundant_consumed = 0;
+    this.information_value_consumed = 0;
+    this.ragebait_consumed = 0;
+    this.misinformation_consumed = 0;
+    this.misinformation_accepted = 0;
+    this.consumed_content = [];
+    let trust_offered = 0;
+    let trust_betrayed = 0;
+
     for (let i = 0; i < processable; i++) {
       const content = this.information_buffer.shift();
 
+      // The same content informs one recipient and is redundant for another
+      const information_value = this.calculateInformationValue(content);
+      this.information_value_consumed += information_value;
+      if (content.type !== 'ragebait' && this.isRedundant(content)) {
+        this.redundant_consumed++;
+      }
+
+      trust_offered += content.trust_value;
+      if (content.type === 'ragebait') {
+        this.ragebait_consumed++;
+        trust_betrayed += content.trust_value;
+      }
+
+      // Belief: trust decides what is accepted, and what is accepted moves trust
+      let accepted = true;
+      if (content.accuracy != null) {
+        const misinformation = content.accuracy < MISINFORMATION_THRESHOLD;
+        if (misinformation) this.misinformation_consumed++;
+
+        accepted = this.rng() < this.acceptanceProbability(content);
+        if (accepted) {
+          if (misinformation) this.misinformation_accepted++;
+          this.updateInstitutionalTrust(content);
+        }
+      }
+
+      // Rejected content is seen, not taken in: it neither loads, agitates
+      // nor gets passed on
+      this.consumed_content.push([content, accepted]);
+      if (!accepted) continue;
+
       // Update cognitive load
       // IMPORTANT: Even ragebait (negative info value) consumes cognitive resources
       // Use absolute value to represent processing cost, regardless of value
-      const processing_cost = Math.abs(content.information_value || 0.1);
-      this.cognitive_load += processing_cost;
+      // Miller's limit: intake fills the capacity, it cannot exceed it
+      const processing_cost = Math.abs(information_value || 0.1);
+      this.cognitive_load = Math.min(this.cognitive_capacity, this.cognitive_load + processing_cost);
 
       // Update emotional state based on content
+      // (a source that signals trust and delivers outrage is inconsistent)
       if (content.type === 'ragebait') {
         this.emotional_state += 0.2;
       } else if (content.type === 'calming') {
@@ -397,6 +495,8 @@ export class Node {
       }
     }
 
+    this.source_consistency = trust_offered > 0 ? 1 - trust_betrayed / trust_offered : 1;
+
     // Decay cognitive load over time
     this.cognitive_load *= 0.95;
     this.cognitive_load = Math.max(0, this.cognitive_load); // Ensure non-negative
@@ -410,7 +510,194 @@ export class Node {
   }
 
   /**
-   * Update all node dynamics (called each simulation step)
+   * Echo-chamber redundancy: content that does not challenge this node's
+   * understanding - including anything from its own tribe, which can only
+   * confirm what the tribe already holds
+   */
+  isRedundant(content) {
+    const own_tribe =
+      content.tribal_marker != null &&
+      content.tribal_marker === this.schismogenesis_state.tribal_affiliation;
+    return !content.challenges_understanding || own_tribe;
+  }
+
+  /**
+   * Bateson's information: "a difference that makes a difference" - to this
+   * recipient (Algorithm.md, calculateInformationValue)
+   *
+   * Novelty (+0.3), challenging the recipient's understanding across tribal
+   * lines (+0.4) or merely repeating it (-0.3), and actionability (+0.2),
+   * weighted by trust in the source. Ragebait is anti-information: -0.5.
+   *
+   * @returns {number} -1 to 1
+   */
+  calculateInformationValue(content) {
+    if (content.type === 'ragebait') return -0.5;
+
+    let value = 0;
+    if (content.novelty > 0.5) value += 0.3;
+    value += this.isRedundant(content) ? -0.3 : 0.4;
+    if (content.actionable) value += 0.2;
+    value *= content.trust_value;
+
+    return Math.max(-1, Math.min(1, value));
+  }
+
+  /**
+   * Record one post and the engagement it received (for learning)
+   */
+  recordPost(content, engagement, step) {
+    this.posts_created++;
+    this.learning_history.push({ step, content_type: content.type, engagement });
+
+    // Keep history bounded
+    if (this.learning_history.length > 100) {
+      this.learning_history.shift();
+    }
+  }
+
+  /**
+   * Progress through Bateson's learning levels (called each simulation step)
+   *
+   * THEORETICAL FOUNDATION: LOGICAL TYPES OF LEARNING
+   *
+   * - Learning 0 → I (after a second post): the creator starts noticing which
+   *   posts get engagement. From here on, each step reinforces whichever content type
+   *   earned more: inflammatory_score drifts toward ragebait when ragebait wins.
+   * - Learning I → II (after 3+ posts, most of them inflammatory): the META-
+   *   pattern "inflammatory content wins" is recognized. Character changes -
+   *   inflammatory_score jumps by 0.3, and becomes hard to unlearn.
+   * - Learning II → III (rare): with load near capacity, collapsed trust, double
+   *   bind stress and growing awareness of the algorithm, the creator sees the
+   *   trap. 10% break through and stop posting (wants_to_leave), the rest
+   *   break down.
+   *
+   * Creators post only a few times per hundred steps, so the post thresholds
+   * are small. Only nodes that have posted learn anything here.
+   */
+  updateLearning(step) {
+    if (this.posts_created === 0) return;
+
+    const learned = this.learned_behaviors;
+
+    // LEARNING 0 → I: Context-specific learning
+    if (this.learning_level === 0 && this.posts_created > 1) {
+      if (learned.engagement_patterns.length === 0) {
+        learned.engagement_patterns.push({ type: 'initial_pattern', learned_at: step });
+      }
+      this.learning_progress += 0.2;
+
+      if (this.learning_progress >= 1.0) {
+        this.learning_level = 1;
+        this.learning_progress = 0;
+      }
+    }
+
+    // LEARNING I: Reinforcement by engagement (until a breakthrough ends the game)
+    if (this.learning_level >= 1 && !this.wants_to_leave) {
+      this.reinforceContentStrategy();
+    }
+
+    // LEARNING I → II: Deutero-learning (character change)
+    if (this.learning_level === 1 && this.posts_created > 2) {
+      const inflammatory_posts = this.learning_history.filter(
+        (h) => h.content_type === 'ragebait'
+      ).length;
+
+      if (inflammatory_posts > this.learning_history.length / 2) {
+        if (!learned.meta_patterns_recognized.some((m) => m.pattern === 'inflammatory_content_wins')) {
+          learned.meta_patterns_recognized.push({ pattern: 'inflammatory_content_wins', learned_at: step });
+        }
+        this.learning_progress += 0.3;
+
+        if (this.learning_progress >= 1.0) {
+          this.learning_level = 2;
+          this.learning_progress = 0;
+
+          // CHARACTER TRANSFORMATION
+          this.inflammatory_score = Math.min(1, this.inflammatory_score + 0.3);
+          learned.content_strategy = 'maximize_engagement';
+          learned.character_changes.push({ change: 'became_engagement_maximizer', at_step: step });
+        }
+      }
+    }
+
+    // LEARNING II → III: Awareness of the trap
+    if (this.learning_level === 2) {
+      // Living inside the double bind slowly reveals the machinery
+      learned.algorithm_awareness = Math.min(1, learned.algorithm_awareness + this.double_bind.S * 0.01);
+
+      if (this.cognitive_load / this.cognitive_capacity > 0.9 &&
+          this.trust_coherence < 0.3 &&
+          learned.algorithm_awareness > 0.5 &&
+          this.double_bind.S > 0.7) {
+        this.learning_progress += 0.1;
+
+        if (this.learning_progress >= 1.0) {
+          this.learning_level = 3;
+          this.learning_progress = 0;
+
+          // Rare moment of clarity
+          learned.algorithm_awareness = 1.0;
+          learned.meta_patterns_recognized.push({ pattern: 'i_am_trapped_in_system', learned_at: step });
+
+          if (this.rng() < 0.1) {
+            // Breakthrough: stops playing the game (no more posts - see generateContent)
+            this.wants_to_leave = true;
+            this.inflammatory_score = 0;
+            learned.content_strategy = null;
+            learned.character_changes.push({ change: 'breakthrough', at_step: step });
+          } else {
+            // Breakdown: pathological adaptation
+            this.double_bind.pathological_adaptation = true;
+            learned.character_changes.push({ change: 'breakdown', at_step: step });
+          }
+        }
+      }
+    }
+  }
+
+  /**
+   * Learning I: shift inflammatory_score toward the content type that earned
+   * more engagement per post in recent history
+   *
+   * Once Learning II has set in, evidence AGAINST inflammatory content moves
+   * the score at a tenth of the rate - character is hard to unlearn.
+   */
+  reinforceContentStrategy() {
+    let inflammatory_total = 0;
+    let inflammatory_count = 0;
+    let normal_total = 0;
+    let normal_count = 0;
+
+    this.learning_history.forEach((h) => {
+      if (h.content_type === 'ragebait') {
+        inflammatory_total += h.engagement;
+        inflammatory_count++;
+      } else {
+        normal_total += h.engagement;
+        normal_count++;
+      }
+    });
+
+    // Need both kinds of post to compare
+    if (inflammatory_count === 0 || normal_count === 0) return;
+
+    const inflammatory_mean = inflammatory_total / inflammatory_count;
+    const normal_mean = normal_total / normal_count;
+    if (inflammatory_mean + normal_mean === 0) return;
+
+    // -1 (normal content wins outright) to +1 (ragebait wins outright)
+    const advantage = (inflammatory_mean - normal_mean) / (inflammatory_mean + normal_mean);
+    const rate = advantage < 0 && this.learning_level >= 2 ? 0.002 : 0.02;
+
+    this.inflammatory_score = Math.max(0, Math.min(1, this.inflammatory_score + advantage * rate));
+  }
+
+  /**
+   * Update this node's information, schismogenesis and double bind dynamics
+   * (the 'nodes' phase of each step; performance and roles have their own
+   * phases - see NetworkGenerator.TICK_PHASES)
    */
   update(dt = 1) {
     this.processInformation();
@@ -443,11 +730,12 @@ export class Node {
   }
 
   /**
-   * Calculate attention available (1 - load/capacity)
+   * Calculate attention available: what doom-scrolling leaves
+   * (attention_available) × what the current load leaves (1 - load/capacity)
    */
   getAttentionAvailable() {
     if (this.cognitive_capacity === 0) return 0;
-    return Math.max(0, 1 - this.cognitive_load / this.cognitive_capacity);
+    return this.attention_available * Math.max(0, 1 - this.cognitive_load / this.cognitive_capacity);
   }
 
   /**
@@ -477,8 +765,8 @@ export class Node {
     // Range: 0 (perfectly calm) to 1 (maximum agitation)
     const emotional_distress = Math.abs(this.emotional_state - 0.5) * 2;
 
-    // Cognitive overload: processing beyond capacity
-    // Range: 0 (no load) to 1+ (overloaded)
+    // Cognitive overload: load relative to capacity
+    // Range: 0 (no load) to 1 (at capacity)
     const cognitive_overload = Math.min(this.cognitive_load / this.cognitive_capacity, 1.0);
 
     // Double bind agitation: visible stress from being trapped
@@ -593,11 +881,11 @@ export class Node {
       // Fatigue accumulates
       this.performance_fatigue += 0.01 * dt;
 
-      // Cognitive load from maintaining persona
-      this.cognitive_load += this.follower_count * 0.001 * dt;
+      // Cognitive load from maintaining persona (up to capacity)
+      this.cognitive_load = Math.min(this.cognitive_capacity, this.cognitive_load + this.follower_count * 0.001 * dt);
 
       // If fatigue too high, may stop performing (burnout)
-      if (this.performance_fatigue > 0.8 && Math.random() < this.performance_fatigue * 0.1) {
+      if (this.performance_fatigue > 0.8 && this.rng() < this.performance_fatigue * 0.1) {
         this.performing_aura = false;
         // Rapid follower loss when authentic performance ends
         this.parasocial_followers = Math.floor(this.parasocial_followers * 0.5);
@@ -611,15 +899,109 @@ export class Node {
   }
 
   /**
-   * Update all node dynamics (called each simulation step)
+   * Update doom-scroll addiction and the attention it leaves
+   *
+   * THEORETICAL FOUNDATION: Variable-ratio reinforcement (Skinner) as product
+   * design - an engagement-optimized feed never runs out and pays off
+   * unpredictably, and outrage is the most reliable payoff. Addiction grows
+   * with the feed's pull and with the share of ragebait consumed, and fades
+   * slowly on its own:
+   *
+   *   dA/dt = (0.01·w + 0.02·r)·(1 - A) - 0.01·A
+   *
+   * w: algorithmic exposure (the era's algorithm_engagement_weight for a
+   * smartphone user, else 0); r: ragebait share of this step's intake.
+   * Compulsive checking eats into attention_available (load takes its own
+   * share - see getAttentionAvailable).
+   *
+   * @param {number} algorithmic_exposure - Pull of the node's feed (0 to 1)
    */
-  updateAll(dt = 1) {
-    this.processInformation();
-    this.updateSchismogenesis(dt);
-    this.updateDoubleBindStress(dt);
-    this.updatePerformanceFatigue(dt);
-    this.updateFollowerCount();
-    this.determineRole();
+  updateDoomScrollAddiction(algorithmic_exposure, dt = 1) {
+    const ragebait_share = this.content_consumed > 0 ? this.ragebait_consumed / this.content_consumed : 0;
+    const A = this.doom_scroll_addiction;
+
+    const dA_dt = (0.01 * algorithmic_exposure + 0.02 * ragebait_share) * (1 - A) - 0.01 * A;
+    this.doom_scroll_addiction = Math.max(0, Math.min(1, A + dA_dt * dt));
+
+    this.attention_available = 1 - 0.5 * this.doom_scroll_addiction;
+  }
+
+  /**
+   * Update emotional regulation, and let it settle agitation
+   *
+   * Co-regulation: nervous systems calm each other face to face (Porges'
+   * polyvagal account; Coan's social baseline theory). Regulation recovers
+   * with embodied contact - up to the sympathy group of ~15 ties, minus the
+   * time the feed takes - and is worn down by addiction and outrage:
+   *
+   *   dE/dt = 0.05·c·(1 - E) - 0.02·E·(A + r),  c = min(1, ties / 15)·(1 - A)
+   *
+   * Double bind stress caps it at 1 - 0.5·S. A regulated node brings
+   * agitation above its setpoint back down (by 10% × E of the excess).
+   */
+  updateEmotionalRegulation(dt = 1) {
+    const ragebait_share = this.content_consumed > 0 ? this.ragebait_consumed / this.content_consumed : 0;
+    const A = this.doom_scroll_addiction;
+    const E = this.emotional_regulation;
+    const contact = Math.min(1, this.embodied_connections.length / 15) * (1 - A);
+
+    const dE_dt = 0.05 * contact * (1 - E) - 0.02 * E * (A + ragebait_share);
+    const ceiling = 1 - 0.5 * this.double_bind.S;
+    this.emotional_regulation = Math.max(0, Math.min(ceiling, E + dE_dt * dt));
+
+    const excess = this.emotional_state - this.homeostatic_setpoint;
+    if (excess > 0) {
+      this.emotional_state -= 0.1 * this.emotional_regulation * excess * dt;
+    }
+  }
+
+  /**
+   * Move trust coherence toward the consistency of this step's sources
+   *
+   * Trust coheres when sources deliver what their standing promises, and
+   * frays when trusted channels carry outrage (source_consistency: the
+   * trust-weighted share of intake that was not ragebait). Without intake
+   * it holds.
+   */
+  updateTrustCoherence(dt = 1) {
+    if (this.content_consumed === 0) return;
+    this.trust_coherence += 0.05 * (this.source_consistency - this.trust_coherence) * dt;
+  }
+
+  /**
+   * Probability of believing a piece of content
+   *
+   * Institutional content is believed as far as institutions are trusted;
+   * peers and influencers are believed more as that trust falls (at full
+   * trust half the time). Content carrying the node's own tribal marker is
+   * believed more readily either way.
+   */
+  acceptanceProbability(content) {
+    let p = content.source_type === 'institution'
+      ? this.institutional_trust
+      : 1 - 0.5 * this.institutional_trust;
+
+    if (content.tribal_marker != null && content.tribal_marker === this.schismogenesis_state.tribal_affiliation) {
+      p += 0.25;
+    }
+
+    return Math.min(1, p);
+  }
+
+  /**
+   * Adjust institutional trust for a piece of content the node accepted
+   *
+   * Institutions are judged by their record: trust moves toward the accuracy
+   * of what they publish. Accepted misinformation from elsewhere contradicts
+   * them and erodes 2% of the trust left - the less trust is left, the more
+   * alternative sources are believed, so the erosion feeds on itself.
+   */
+  updateInstitutionalTrust(content) {
+    if (content.source_type === 'institution') {
+      this.institutional_trust += 0.01 * (content.accuracy - this.institutional_trust);
+    } else if (content.accuracy < MISINFORMATION_THRESHOLD) {
+      this.institutional_trust -= 0.02 * this.institutional_trust;
+    }
   }
 }
 
@@ -0,0 +1,1159 @@
+/**
+ * NodeStore.js
+ *
+ * Structure-of-arrays backend for the simulation tick
+ *
+ * THE PROBLEM: Every Node is a heavyweight object - nested schismogenesis_state
+ * and double_bind, five connection arrays, an information buffer of content
+ * objects. NetworkGenerator.update() walks all of it, node by node, pointer by
+ * pointer. At 8,000 nodes this is fine; beyond ~50,000 the object graph costs
+ * more in memory traffic than the arithmetic does.
+ *
+ * THE DATA-ORIENTED ALTERNATIVE: Keep each dynamic field in one typed array
+ * (emotional_state[i], cognitive_load[i], X[i], S[i], ...), the outgoing edges
+ * in CSR form (targets of node i are edge_targets[edge_offsets[i] ..
+ * edge_offsets[i + 1]]), and information buffers as linked FIFO queues inside
+ * typed arrays. The tick then runs as flat loops over contiguous memory.
+ *
+ * SAME MODEL, SAME NUMBERS: getTickPhases() performs exactly the arithmetic
+ * and the random draws of the object model, phase by phase (TICK_PHASES) in
+ * the same order, so NetworkGenerator.update() runs either backend the same
+ * way, hooks included. Learning runs on the Node objects themselves (it
+ * touches per-post history, not just numbers); their stored fields are views
+ * of the arrays.
+ * With precision 'float64' getMetrics() is identical to the object model's;
+ * with 'float32' (half the memory) values agree to single precision.
+ *
+ * COMPATIBILITY: The store is attached to an already-generated network. Each
+ * stored field on each Node (and on its schismogenesis_state and double_bind)
+ * is replaced by an enumerable accessor reading and writing the arrays, so
+ * every other reader - getBreakdownMetrics(), the visualizer, exporters,
+ * snapshots - sees live values without knowing the store exists.
+ *
+ * Not maintained by this backend: schismogenesis_state.escalation_history
+ * (wall-clock-stamped debugging trace).
+ */
+
+import {
+  ROLE_THRESHOLDS,
+  MISINFORMATION_THRESHOLD,
+  getSourceType,
+  drawContentAccuracy
+} from './config.js';
+
+export const ROLES = ['consumer', 'creator', 'broadcaster', 'influencer'];
+const SCHISMOGENESIS_TYPES = [null, 'symmetrical', 'complementary'];
+const COMPLEMENTARY_POSITIONS = [null, 'dominant', 'submissive'];
+const CONNECTION_KEYS = [
+  'embodied_connections',
+  'print_connections',
+  'broadcast_connections',
+  'internet_connections',
+  'algorithmic_connections'
+];
+
+/**
+ * Stored fields: [array name, owner ('node' | 'schismogenesis_state' | 'double_bind'), property]
+ */
+const FLOAT_FIELDS = [
+  ['emotional_state', 'node', 'emotional_state'],
+  ['cognitive_load', 'node', 'cognitive_load'],
+  ['cognitive_capacity', 'node', 'cognitive_capacity'],
+  ['homeostatic_setpoint', 'node', 'homeostatic_setpoint'],
+  ['homeostatic_bandwidth', 'node', 'homeostatic_bandwidth'],
+  ['homeostasis_violation_amount', 'node', 'homeostasis_violation_amount'],
+  ['regulatory_capacity', 'node', 'regulatory_capacity'],
+  ['system_coherence', 'node', 'system_coherence'],
+  ['trust_coherence', 'node', 'trust_coherence'],
+  ['institutional_trust', 'node', 'institutional_trust'],
+  ['performance_fatigue', 'node', 'performance_fatigue'],
+  ['platform_revenue_generated', 'node', 'platform_revenue_generated'],
+  ['personal_revenue', 'node', 'personal_revenue'],
+  ['inflammatory_score', 'node', 'inflammatory_score'],
+  ['information_value_consumed', 'node', 'information_value_consumed'],
+  ['source_consistency', 'node', 'source_consistency'],
+  ['doom_scroll_addiction', 'node', 'doom_scroll_addiction'],
+  ['emotional_regulation', 'node', 'emotional_regulation'],
+  ['attention_available', 'node', 'attention_available'],
+  ['X', 'schismogenesis_state', 'X'],
+  ['Y', 'schismogenesis_state', 'Y'],
+  ['k1', 'schismogenesis_state', 'k1'],
+  ['k2', 'schismogenesis_state', 'k2'],
+  ['S', 'double_bind', 'S'],
+  ['E', 'double_bind', 'E'],
+  ['B', 'double_bind', 'B'],
+  ['R', 'double_bind', 'R'],
+  ['H', 'double_bind', 'H'],
+  ['alpha', 'double_bind', 'alpha'],
+  ['beta', 'double_bind', 'beta'],
+  ['gamma', 'double_bind', 'gamma']
+];
+
+const FLAG_FIELDS = [
+  ['within_homeostatic_range', 'node', 'within_homeostatic_range'],
+  ['functional', 'node', 'functional'],
+  ['performing_aura', 'node', 'performing_aura'],
+  ['financial_precarity', 'node', 'financial_precarity'],
+  ['is_influencer', 'node', 'is_influencer'],
+  ['in_double_bind', 'double_bind', 'in_double_bind'],
+  ['pathological_adaptation', 'double_bind', 'pathological_adaptation'],
+  ['wants_to_leave', 'node', 'wants_to_leave']
+];
+
+const COUNT_FIELDS = [
+  ['follower_count', 'node', 'follower_count'],
+  ['embodied_followers', 'node', 'embodied_followers'],
+  ['parasocial_followers', 'node', 'parasocial_followers'],
+  ['burnout_count', 'node', 'burnout_count'],
+  ['information_processing_rate', 'node', 'information_processing_rate'],
+  ['posts_created', 'node', 'posts_created'],
+  ['learning_level', 'node', 'learning_level'],
+  ['content_consumed', 'node', 'content_consumed'],
+  ['redundant_consumed', 'node', 'redundant_consumed'],
+  ['ragebait_consumed', 'node', 'ragebait_consumed'],
+  ['misinformation_consumed', 'node', 'misinformation_consumed'],
+  ['misinformation_accepted', 'node', 'misinformation_accepted'],
+  ['content_dropped', 'node', 'content_dropped']
+];
+
+/**
+ * Fields holding one of a set of values (stored as an index into `values`)
+ */
+const CODE_FIELDS = [
+  ['role', 'node', 'role', ROLES],
+  ['schismogenesis_type', 'schismogenesis_state', 'type', SCHISMOGENESIS_TYPES],
+  ['complementary_position', 'schismogenesis_state', 'complementary_position', COMPLEMENTARY_POSITIONS],
+  ['tribe', 'schismogenesis_state', 'tribal_affiliation', null] // Values grow as tribes appear
+];
+
+function ownerOf(node, owner) {
+  return owner === 'node' ? node : node[owner];
+}
+
+export class NodeStore {
+  /**
+   * @param {NetworkGenerator} generator - Generated network to take over
+   * @param {Object} [options]
+   * @param {string} [options.precision] - 'float32' (default) or 'float64'
+   */
+  constructor(generator, options = {}) {
+    const precision = options.precision || 'float32';
+    if (precision !== 'float32' && precision !== 'float64') {
+      throw new Error(`Unknown precision: ${precision}`);
+    }
+
+    this.generator = generator;
+    this.precision = precision;
+    this.size = generator.nodes.length;
+
+    const FloatArray = precision === 'float64' ? Float64Array : Float32Array;
+    const n = this.size;
+
+    this.arrays = {};
+    FLOAT_FIELDS.forEach(([name]) => { this.arrays[name] = new FloatArray(n); });
+    FLAG_FIELDS.forEach(([name]) => { this.arrays[name] = new Uint8Array(n); });
+    COUNT_FIELDS.forEach(([name]) => { this.arrays[name] = new Uint32Array(n); });
+    CODE_FIELDS.forEach(([name]) => { this.arrays[name] = new Uint8Array(n); });
+
+    // Code tables (copied so tribes can be added per store)
+    this.codes = {};
+    CODE_FIELDS.forEach(([name, , , values]) => { this.codes[name] = values ? [...values] : [null]; });
+
+    this.buildEdges();
+    this.initializeQueues();
+    this.indexLoops();
+    this.consumption = []; // [node, content, accepted] consumed this tick (see getTickPhases)
+    this.smartphone = Uint8Array.from(generator.nodes, (node) => (node.has_smartphone ? 1 : 0));
+    this.session_limit = Infinity; // Feed ranker's, for smartphone users (see rankFeeds)
+
+    generator.nodes.forEach((node, i) => this.bindNode(node, i));
+  }
+
+  /**
+   * CSR adjacency of each node's outgoing edges, in the order generateContent
+   * concatenates them (embodied, print, broadcast, internet, algorithmic)
+   *
+   * Call again after adding or removing edges.
+   */
+  buildEdges() {
+    const nodes = this.generator.nodes;
+    const n = this.size;
+
+    this.edge_offsets = new Uint32Array(n + 1);
+    this.embodied_counts = new Uint32Array(n);
+    this.parasocial_counts = new Uint32Array(n);
+
+    nodes.forEach((node, i) => {
+      const total = CONNECTION_KEYS.reduce((sum, key) => sum + node[key].length, 0);
+      this.edge_offsets[i + 1] = this.edge_offsets[i] + total;
+      this.embodied_counts[i] = node.embodied_connections.length;
+      this.parasocial_counts[i] = node.getParasocialConnections();
+    });
+
+    this.edge_targets = new Uint32Array(this.edge_offsets[n]);
+    nodes.forEach((node, i) => {
+      let k = this.edge_offsets[i];
+      CONNECTION_KEYS.forEach((key) => {
+        node[key].forEach((edge) => { this.edge_targets[k++] = edge.target; });
+      });
+    });
+  }
+
+  /**
+   * Node indices of each feedback loop's source and target, and loop counts
+   * by type
+   *
+   * Loops keep their node references; resolving loop.source.id on every tick
+   * is the slowest part of the loop kernel, so indices are cached. Loops are
+   * only ever appended (interventions) or replaced wholesale, so the index is
+   * rebuilt whenever the array or its length changes.
+   */
+  indexLoops() {
+    const loops = this.generator.feedback_loops;
+    this.indexed_loops = loops;
+    this.indexed_loop_count = loops.length;
+
+    this.loop_source = new Int32Array(loops.length);
+    this.loop_target = new Int32Array(loops.length);
+    this.loop_counts = { positive: 0, negative: 0 };
+
+    loops.forEach((loop, k) => {
+      this.loop_source[k] = loop.source.id;
+      this.loop_target[k] = loop.target.id;
+      if (loop.type in this.loop_counts) this.loop_counts[loop.type]++;
+    });
+  }
+
+  ensureLoopIndex() {
+    const loops = this.generator.feedback_loops;
+    if (loops !== this.indexed_loops || loops.length !== this.indexed_loop_count) {
+      this.indexLoops();
+    }
+  }
+
+  /**
+   * Information buffers as linked FIFO queues
+   *
+   * A delivery is one content item waiting in one node's buffer. Deliveries
+   * live in typed arrays, chained per node (queue_head → delivery_next → ...);
+   * freed slots are reused. The content objects themselves are shared by all
+   * their recipients and kept in a table, released when the last recipient
+   * has processed them.
+   */
+  initializeQueues() {
+    const n = this.size;
+    this.queue_head = new Int32Array(n).fill(-1);
+    this.queue_tail = new Int32Array(n).fill(-1);
+    this.queue_length = new Uint32Array(n);
+
+    this.delivery_content = new Int32Array(1024);
+    this.delivery_next = new Int32Array(1024);
+    this.free_delivery = -1;
+    this.delivery_count = 0; // Slots ever used (high-water mark)
+
+    this.contents = []; // content id → content object
+    this.content_refs = []; // content id → deliveries still queued
+    this.free_contents = [];
+  }
+
+  /**
+   * Register a content object, returning its id
+   */
+  addContent(content) {
+    const id = this.free_contents.length > 0 ? this.free_contents.pop() : this.contents.length;
+    this.contents[id] = content;
+    this.content_refs[id] = 0;
+    return id;
+  }
+
+  /**
+   * Append content to node i's buffer
+   */
+  enqueue(i, content_id) {
+    let slot;
+    if (this.free_delivery !== -1) {
+      slot = this.free_delivery;
+      this.free_delivery = this.delivery_next[slot];
+    } else {
+      if (this.delivery_count === this.delivery_content.length) {
+        this.growDeliveries();
+      }
+      slot = this.delivery_count++;
+    }
+
+    this.delivery_content[slot] = content_id;
+    this.delivery_next[slot] = -1;
+    this.content_refs[content_id]++;
+
+    if (this.queue_tail[i] === -1) {
+      this.queue_head[i] = slot;
+    } else {
+      this.delivery_next[this.queue_tail[i]] = slot;
+    }
+    this.queue_tail[i] = slot;
+    this.queue_length[i]++;
+  }
+
+  /**
+   * Remove and return the oldest content in node i's buffer
+   */
+  dequeue(i) {
+    const slot = this.queue_head[i];
+    const content_id = this.delivery_content[slot];
+
+    this.queue_head[i] = this.delivery_next[slot];
+    if (this.queue_head[i] === -1) this.queue_tail[i] = -1;
+    this.queue_length[i]--;
+
+    this.delivery_next[slot] = this.free_delivery;
+    this.free_delivery = slot;
+
+    const content = this.contents[content_id];
+    if (--this.content_refs[content_id] === 0) {
+      this.contents[content_id] = undefined;
+      this.free_contents.push(content_id);
+    }
+    return content;
+  }
+
+  growDeliveries() {
+    const capacity = this.delivery_content.length * 2;
+
+    const content = new Int32Array(capacity);
+    content.set(this.delivery_content);
+    this.delivery_content = content;
+
+    const next = new Int32Array(capacity);
+    next.set(this.delivery_next);
+    this.delivery_next = next;
+  }
+
+  /**
+   * Node i's buffer as an array of content objects (oldest first)
+   */
+  bufferOf(i) {
+    const buffer = [];
+    for (let slot = this.queue_head[i]; slot !== -1; slot = this.delivery_next[slot]) {
+      buffer.push(this.contents[this.delivery_content[slot]]);
+    }
+    return buffer;
+  }
+
+  /**
+   * Replace node i's buffer
+   */
+  setBuffer(i, buffer) {
+    while (this.queue_length[i] > 0) this.dequeue(i);
+    buffer.forEach((content) => this.enqueue(i, this.addContent(content)));
+  }
+
+  /**
+   * Code for a value of a code field (adding new tribe names as they appear)
+   */
+  encode(name, value) {
+    const values = this.codes[name];
+    let code = values.indexOf(value ?? null);
+    if (code === -1) {
+      if (name !== 'tribe') {
+        throw new Error(`Invalid ${name}: ${value}`);
+      }
+      code = values.push(value) - 1;
+    }
+    return code;
+  }
+
+  /**
+   * Move node i's stored fields into the arrays and replace them with accessors
+   */
+  bindNode(node, i) {
+    const arrays = this.arrays;
+
+    const define = (target, property, get, set) => {
+      Object.defineProperty(target, property, { get, set, enumerable: true, configurable: true });
+    };
+
+    FLOAT_FIELDS.forEach(([name, owner, property]) => {
+      const target = ownerOf(node, owner);
+      const array = arrays[name];
+      array[i] = target[property];
+      define(target, property, () => array[i], (value) => { array[i] = value; });
+    });
+
+    FLAG_FIELDS.forEach(([name, owner, property]) => {
+      const target = ownerOf(node, owner);
+      const array = arrays[name];
+      array[i] = target[property] ? 1 : 0;
+      define(target, property, () => array[i] === 1, (value) => { array[i] = value ? 1 : 0; });
+    });
+
+    COUNT_FIELDS.forEach(([name, owner, property]) => {
+      const target = ownerOf(node, owner);
+      const array = arrays[name];
+      array[i] = target[property] || 0;
+      define(target, property, () => array[i], (value) => { array[i] = value; });
+    });
+
+    CODE_FIELDS.forEach(([name, owner, property]) => {
+      const target = ownerOf(node, owner);
+      const array = arrays[name];
+      array[i] = this.encode(name, target[property]);
+      define(target, property, () => this.codes[name][array[i]], (value) => {
+        array[i] = this.encode(name, value);
+      });
+    });
+
+    // Information buffer: contents move into the queue
+    const buffer = node.information_buffer;
+    delete node.information_buffer;
+    this.setBuffer(i, buffer);
+    define(node, 'information_buffer', () => this.bufferOf(i), (value) => this.setBuffer(i, value));
+  }
+
+  /**
+   * NetworkGenerator.getTickPhases() over the arrays: the same phases, the
+   * same draws in the same order
+   *
+   * @returns {Object} phase name → function running it
+   */
+  getTickPhases(dt) {
+    const generator = this.generator;
+    const tribes = this.codes.tribe;
+    const tribeOf = (i) => tribes[this.arrays.tribe[i]];
+
+    return {
+      interventions: () => generator.applyDueInterventions(),
+      propagation: () => this.propagateCascades(),
+      content: () => this.generateContent(),
+      feeds: () => this.rankFeeds(),
+
+      nodes: () => {
+        this.consumption = [];
+        for (let i = 0; i < this.size; i++) {
+          this.processInformation(i);
+          this.updateSchismogenesis(i, dt);
+          this.updateDoubleBindStress(i, dt);
+          this.shedBacklog(i);
+        }
+      },
+
+      performance: () => this.updatePerformanceFatigue(dt),
+      regulation: () => this.updateRegulation(dt),
+      resharing: () => generator.updateCascades(this.consumption, tribeOf),
+      learning: () => generator.nodes.forEach((node) => node.updateLearning(generator.step)),
+
+      feedback_loops: () => {
+        this.ensureLoopIndex();
+        generator.feedback_loops.forEach((loop, k) => {
+          this.executeLoop(loop, this.loop_source[k], this.loop_target[k]);
+        });
+      },
+
+      roles: () => this.updateRoles(),
+
+      // Rewiring rebuilds the CSR edges when it changes them
+      rewiring: () => generator.rewireNetwork(this.consumption, tribeOf)
+    };
+  }
+
+  /**
+   * NetworkGenerator.rankFeeds(), over queues (the session limit is applied
+   * in processInformation)
+   */
+  rankFeeds() {
+    const ranker = this.generator.feed_ranker;
+    const tribes = this.codes.tribe;
+    this.session_limit = ranker.session_limit ?? Infinity;
+
+    for (let i = 0; i < this.size; i++) {
+      if (!this.smartphone[i] || this.queue_length[i] < 2) continue;
+
+      const feed = this.bufferOf(i);
+      const ranked = ranker.rank(feed, { id: i, tribe: tribes[this.arrays.tribe[i]] });
+      if (ranked !== feed) this.setBuffer(i, ranked);
+    }
+  }
+
+  /**
+   * NetworkGenerator.propagateCascades(), over CSR edges and queues
+   */
+  propagateCascades() {
+    const { cascades, config, rng, step } = this.generator;
+    const reshare_reach = config.reshare_reach ?? 10;
+
+    cascades.takeReshares().forEach(({ node: i, content }) => {
+      const cascade = cascades.get(content);
+      cascades.sent(cascade);
+
+      const start = this.edge_offsets[i];
+      const count = this.edge_offsets[i + 1] - start;
+      const reach = Math.min(count, Math.floor(rng() * reshare_reach) + 1);
+      if (reach === 0) return;
+
+      const content_id = this.addContent(content);
+      for (let j = 0; j < reach; j++) {
+        const target = this.edge_targets[start + Math.floor(rng() * count)];
+        this.enqueue(target, content_id);
+        cascades.deliver(cascade, i, target, step);
+      }
+    });
+  }
+
+  /**
+   * NetworkGenerator.generateContent(), over CSR edges and queues
+   */
+  generateContent() {
+    const { config, era, rng, nodes, step, cascades } = this.generator;
+    const a = this.arrays;
+
+    const content_rate = config.inflammatory_content_ratio ?? 0.1;
+    const num_contents = Math.floor(this.size * content_rate * 0.01);
+    if (num_contents === 0) return;
+    const friction = config.feed_friction ?? 0;
+
+    // Roles do not change within a tick
+    const creators = [];
+    for (let i = 0; i < this.size; i++) {
+      if (a.role[i] !== 0 && !a.wants_to_leave[i]) creators.push(i); // Anyone but consumers and leavers
+    }
+    if (creators.length === 0) return;
+
+    for (let c = 0; c < num_contents; c++) {
+      const creator = creators[Math.floor(rng() * creators.length)];
+
+      // Same draws, in the same order, as the object literal in generateContent
+      const base_rate = a.is_influencer[creator] ? 0.9 : content_rate;
+      const inflammatory_rate =
+        (base_rate + (1 - base_rate) * a.inflammatory_score[creator]) * (1 - friction);
+      const is_inflammatory = rng() < inflammatory_rate;
+      const source_type = getSourceType(ROLES[a.role[creator]], a.is_influencer[creator]);
+
+      const content = {
+        type: is_inflammatory ? 'ragebait' : 'normal',
+        novelty: rng(),
+        trust_value: ROLES[a.role[creator]] === 'broadcaster' ? 0.7 : 0.5,
+        actionable: rng() < 0.3,
+        challenges_understanding: rng() < 0.2,
+        tribal_marker: this.codes.tribe[a.tribe[creator]],
+        creator,
+        posted_at: step,
+        source_type,
+        accuracy: drawContentAccuracy(source_type, is_inflammatory, rng)
+      };
+      const cascade = cascades.start(creator, content, step);
+
+      const start = this.edge_offsets[creator];
+      const count = this.edge_offsets[creator + 1] - start;
+
+      const reach = Math.min(count, Math.floor(rng() * 50) + 10);
+      if (reach > 0) {
+        const content_id = this.addContent(content);
+        for (let j = 0; j < reach; j++) {
+          const target = this.edge_targets[start + Math.floor(rng() * count)];
+          this.enqueue(target, content_id);
+          cascades.deliver(cascade, creator, target, step);
+        }
+      }
+
+      const engagement_multiplier = is_inflammatory ? 2.0 : 1.0;
+      nodes[creator].recordPost(content, reach * engagement_multiplier, step);
+
+      // PLATFORM EXTRACTION (Algorithmic era only)
+      if (era === 'algorithmic_era' && a.follower_count[creator] > 0) {
+        const gross_revenue = a.follower_count[creator] * 0.001 * engagement_multiplier;
+        const platform_cut = gross_revenue * (config.platform_extraction_rate || 0.9);
+        const creator_cut = gross_revenue - platform_cut;
+
+        a.platform_revenue_generated[creator] += gross_revenue;
+        a.personal_revenue[creator] += creator_cut;
+
+        a.financial_precarity[creator] = a.personal_revenue[creator] * 30 > 2500 ? 0 : 1;
+
+        if (a.performing_aura[creator]) {
+          a.performance_fatigue[creator] += 0.005;
+        }
+      }
+    }
+  }
+
+  /**
+   * Node.isRedundant()
+   */
+  isRedundant(i, content) {
+    const own_tribe =
+      content.tribal_marker != null && content.tribal_marker === this.codes.tribe[this.arrays.tribe[i]];
+    return !content.challenges_understanding || own_tribe;
+  }
+
+  /**
+   * Node.calculateInformationValue()
+   */
+  informationValue(i, content) {
+    if (content.type === 'ragebait') return -0.5;
+
+    let value = 0;
+    if (content.novelty > 0.5) value += 0.3;
+    value += this.isRedundant(i, content) ? -0.3 : 0.4;
+    if (content.actionable) value += 0.2;
+    value *= content.trust_value;
+
+    return Math.max(-1, Math.min(1, value));
+  }
+
+  /**
+   * Node.processInformation() + checkHomeostasis()
+   */
+  processInformation(i) {
+    const a = this.arrays;
+
+    const session_limit = this.smartphone[i] ? this.session_limit : Infinity;
+    const attended = Math.ceil(a.information_processing_rate[i] * this.attentionAvailable(i));
+    const processable = Math.min(attended, this.queue_length[i], session_limit);
+
+    a.content_consumed[i] = processable;
+    a.redundant_consumed[i] = 0;
+    a.information_value_consumed[i] = 0;
+    a.ragebait_consumed[i] = 0;
+    a.misinformation_consumed[i] = 0;
+    a.misinformation_accepted[i] = 0;
+    let trust_offered = 0;
+    let trust_betrayed = 0;
+
+    for (let k = 0; k < processable; k++) {
+      const content = this.dequeue(i);
+
+      const information_value = this.informationValue(i, content);
+      a.information_value_consumed[i] += information_value;
+      if (content.type !== 'ragebait' && this.isRedundant(i, content)) {
+        a.redundant_consumed[i]++;
+      }
+
+      trust_offered += content.trust_value;
+      if (content.type === 'ragebait') {
+        a.ragebait_consumed[i]++;
+        trust_betrayed += content.trust_value;
+      }
+
+      // Node.acceptanceProbability() + updateInstitutionalTrust()
+      let accepted = true;
+      if (content.accuracy != null) {
+        const misinformation = content.accuracy < MISINFORMATION_THRESHOLD;
+        if (misinformation) a.misinformation_consumed[i]++;
+
+        const institution = content.source_type === 'institution';
+        const trust = a.institutional_trust[i];
+        let p = institution ? trust : 1 - 0.5 * trust;
+        if (content.tribal_marker != null && content.tribal_marker === this.codes.tribe[a.tribe[i]]) {
+          p += 0.25;
+        }
+
+        accepted = this.generator.rng() < Math.min(1, p);
+        if (accepted) {
+          if (misinformation) a.misinformation_accepted[i]++;
+          if (institution) {
+            a.institutional_trust[i] += 0.01 * (content.accuracy - trust);
+          } else if (misinformation) {
+            a.institutional_trust[i] -= 0.02 * trust;
+          }
+        }
+      }
+
+      this.consumption.push([i, content, accepted]);
+      if (!accepted) continue;
+
+      const processing_cost = Math.abs(information_value || 0.1);
+      a.cognitive_load[i] = Math.min(a.cognitive_capacity[i], a.cognitive_load[i] + processing_cost);
+
+      if (content.type === 'ragebait') {
+        a.emotional_state[i] += 0.2;
+      } else if (content.type === 'calming') {
+        a.emotional_state[i] -= 0.1;
+      }
+    }
+
+    a.source_consistency[i] = trust_offered > 0 ? 1 - trust_betrayed / trust_offered : 1;
+
+    a.cognitive_load[i] *= 0.95;
+    a.cognitive_load[i] = Math.max(0, a.cognitive_load[i]);
+
+    a.emotional_state[i] *= 0.98;
+    a.emotional_state[i] = Math.max(0, Math.min(1, a.emotional_state[i]));
+
+    // Homeostasis
+    const distance_from_setpoint = Math.abs(a.emotional_state[i] - a.homeostatic_setpoint[i]);
+    const within = distance_from_setpoint <= a.homeostatic_bandwidth[i];
+    a.within_homeostatic_range[i] = within ? 1 : 0;
+    a.homeostasis_violation_amount[i] = Math.max(0, distance_from_setpoint - a.homeostatic_bandwidth[i]);
+
+    if (!within) {
+      a.regulatory_capacity[i] -= 0.005;
+      a.regulatory_capacity[i] = Math.max(0.1, a.regulatory_capacity[i]);
+    } else {
+      a.regulatory_capacity[i] += 0.002;
+      a.regulatory_capacity[i] = Math.min(1.0, a.regulatory_capacity[i]);
+    }
+  }
+
+  /**
+   * Node.getAttentionAvailable()
+   */
+  attentionAvailable(i) {
+    const a = this.arrays;
+    if (a.cognitive_capacity[i] === 0) return 0;
+    return a.attention_available[i] * Math.max(0, 1 - a.cognitive_load[i] / a.cognitive_capacity[i]);
+  }
+
+  /**
+   * NetworkGenerator.shedBacklog(), over queues
+   */
+  shedBacklog(i) {
+    const a = this.arrays;
+    const generator = this.generator;
+    const limit = generator.backlogLimit(this.attentionAvailable(i), a.cognitive_capacity[i]);
+
+    a.content_dropped[i] = Math.max(0, this.queue_length[i] - limit);
+    if (a.content_dropped[i] > 0) {
+      this.setBuffer(i, generator.triageBuffer(this.bufferOf(i), limit, this.codes.tribe[a.tribe[i]]));
+    }
+  }
+
+  /**
+   * Node.updateSchismogenesis()
+   */
+  updateSchismogenesis(i, dt) {
+    const a = this.arrays;
+    const type = a.schismogenesis_type[i];
+    if (type === 0) return;
+
+    const X = a.X[i];
+    const Y = a.Y[i];
+    const mirrors = type === 2 && a.complementary_position[i] === 2; // Submissive
+    const dX_dt = mirrors ? 0 : a.k1[i] * Y;
+    const dY_dt = mirrors ? 0 : type === 1 ? a.k2[i] * X : -a.k2[i] * X; // symmetrical : complementary
+
+    a.X[i] = Math.max(0, Math.min(1, X + dX_dt * dt));
+    a.Y[i] = Math.max(0, Math.min(1, Y + dY_dt * dt));
+
+    a.emotional_state[i] = Math.min(1, a.emotional_state[i] + a.X[i] * 0.1);
+  }
+
+  /**
+   * Node.updateDoubleBindStress()
+   */
+  updateDoubleBindStress(i, dt) {
+    const a = this.arrays;
+    if (!a.in_double_bind[i]) return;
+
+    const S = a.S[i];
+    const R = a.R[i];
+    const dS_dt = a.alpha[i] * a.E[i] * a.B[i] - a.beta[i] * R;
+    const dR_dt = -a.gamma[i] * S * (1 - a.H[i]);
+
+    a.S[i] = Math.max(0, Math.min(1, S + dS_dt * dt));
+    a.R[i] = Math.max(0, Math.min(1, R + dR_dt * dt));
+
+    const pathological = a.S[i] > 0.9;
+    a.pathological_adaptation[i] = pathological ? 1 : 0;
+
+    if (pathological) {
+      a.system_coherence[i] -= 0.01 * dt;
+      a.regulatory_capacity[i] = Math.min(a.regulatory_capacity[i], a.R[i]);
+      a.functional[i] = a.system_coherence[i] > 0.3 ? 1 : 0;
+    }
+
+    a.emotional_state[i] = Math.min(1, a.emotional_state[i] + a.S[i] * 0.05);
+  }
+
+  /**
+   * Node.updatePerformanceFatigue() for every node
+   */
+  updatePerformanceFatigue(dt) {
+    const a = this.arrays;
+    const rng = this.generator.rng;
+
+    for (let i = 0; i < this.size; i++) {
+      if (a.performing_aura[i]) {
+        a.performance_fatigue[i] += 0.01 * dt;
+        a.cognitive_load[i] = Math.min(a.cognitive_capacity[i], a.cognitive_load[i] + a.follower_count[i] * 0.001 * dt);
+
+        if (a.performance_fatigue[i] > 0.8 && rng() < a.performance_fatigue[i] * 0.1) {
+          a.performing_aura[i] = 0;
+          a.parasocial_followers[i] = Math.floor(a.parasocial_followers[i] * 0.5);
+          a.follower_count[i] = a.embodied_followers[i] + a.parasocial_followers[i];
+        }
+      } else {
+        a.performance_fatigue[i] = Math.max(0, a.performance_fatigue[i] * 0.95);
+      }
+    }
+  }
+
+  /**
+   * The 'regulation' phase: Node.updateDoomScrollAddiction(),
+   * updateEmotionalRegulation() and updateTrustCoherence() for every node
+   */
+  updateRegulation(dt) {
+    const a = this.arrays;
+    const exposure = this.generator.config.algorithm_engagement_weight || 0;
+
+    for (let i = 0; i < this.size; i++) {
+      const consumed = a.content_consumed[i];
+      const ragebait_share = consumed > 0 ? a.ragebait_consumed[i] / consumed : 0;
+
+      // Doom-scroll addiction and attention
+      const w = this.smartphone[i] ? exposure : 0;
+      const A = a.doom_scroll_addiction[i];
+      const dA_dt = (0.01 * w + 0.02 * ragebait_share) * (1 - A) - 0.01 * A;
+      a.doom_scroll_addiction[i] = Math.max(0, Math.min(1, A + dA_dt * dt));
+
+      a.attention_available[i] = 1 - 0.5 * a.doom_scroll_addiction[i];
+
+      // Emotional regulation
+      const addiction = a.doom_scroll_addiction[i];
+      const E = a.emotional_regulation[i];
+      const contact = Math.min(1, this.embodied_counts[i] / 15) * (1 - addiction);
+      const dE_dt = 0.05 * contact * (1 - E) - 0.02 * E * (addiction + ragebait_share);
+      const ceiling = 1 - 0.5 * a.S[i];
+      a.emotional_regulation[i] = Math.max(0, Math.min(ceiling, E + dE_dt * dt));
+
+      const excess = a.emotional_state[i] - a.homeostatic_setpoint[i];
+      if (excess > 0) {
+        a.emotional_state[i] -= 0.1 * a.emotional_regulation[i] * excess * dt;
+      }
+
+      // Trust coherence
+      if (consumed > 0) {
+        a.trust_coherence[i] += 0.05 * (a.source_consistency[i] - a.trust_coherence[i]) * dt;
+      }
+    }
+  }
+
+  /**
+   * The 'roles' phase: Node.updateFollowerCount() and
+   * NetworkGenerator.updateRole() for every node, then
+   * NetworkGenerator.rankInfluencers()
+   */
+  updateRoles() {
+    const a = this.arrays;
+    const generator = this.generator;
+    generator.role_transitions = [];
+
+    for (let i = 0; i < this.size; i++) {
+      const followers = a.embodied_followers[i] + a.parasocial_followers[i];
+      a.follower_count[i] = followers;
+
+      let role = 0;
+      if (followers >= ROLE_THRESHOLDS.influencer) role = 3;
+      else if (followers >= ROLE_THRESHOLDS.broadcaster) role = 2;
+      else if (followers >= ROLE_THRESHOLDS.creator) role = 1;
+
+      a.is_influencer[i] = role === 3 ? 1 : 0; // Re-ranked below
+      if (role !== a.role[i]) {
+        const from = ROLES[a.role[i]];
+        a.role[i] = role;
+        generator.recordRoleTransition(generator.nodes[i], from);
+      }
+    }
+
+    generator.rankInfluencers();
+  }
+
+  /**
+   * FeedbackLoop.execute(), reading loop parameters from the loop object and
+   * node state from the arrays
+   */
+  executeLoop(loop, source, target) {
+    if (!loop.active) return;
+
+    const a = this.arrays;
+    const rng = loop.rng;
+    const strength = loop.strength;
+
+    if (loop.type === 'positive') {
+      if (loop.schismogenesis_type === 'symmetrical') {
+        // Both sides seed a small initial escalation
+        if (a.schismogenesis_type[source] === 0) {
+          a.schismogenesis_type[source] = 1;
+          a.k1[source] = loop.k1;
+          a.k2[source] = loop.k2;
+          a.X[source] = rng() * 0.05;
+        }
+        if (a.schismogenesis_type[target] === 0) {
+          a.schismogenesis_type[target] = 1;
+          a.k1[target] = loop.k1;
+          a.k2[target] = loop.k2;
+          a.X[target] = rng() * 0.05;
+        }
+
+        a.Y[target] = a.X[source];
+        a.Y[source] = a.X[target];
+      } else if (loop.schismogenesis_type === 'complementary') {
+        // Source dominates (X dominance, Y audience standing); target mirrors
+        if (a.schismogenesis_type[source] === 0) {
+          a.schismogenesis_type[source] = 2;
+          a.complementary_position[source] = 1;
+          a.k1[source] = loop.k1;
+          a.k2[source] = loop.k2;
+          a.X[source] = 0.5 + rng() * 0.05;
+          a.Y[source] = 0.5;
+        }
+        if (a.schismogenesis_type[target] === 0) {
+          a.schismogenesis_type[target] = 2;
+          a.complementary_position[target] = 2;
+          a.k1[target] = loop.k1;
+          a.k2[target] = loop.k2;
+          a.X[target] = 0.5 + (0.5 - a.Y[source]) * strength;
+          a.Y[target] = a.X[source];
+        } else if (a.complementary_position[target] === 2) {
+          a.X[target] = Math.max(a.X[target], 0.5 + (0.5 - a.Y[source]) * strength);
+          a.Y[target] = Math.max(a.Y[target], a.X[source]);
+        }
+      } else {
+        // Generic amplification
+        const amplification = strength * 0.05;
+        a.emotional_state[target] += a.emotional_state[source] * amplification;
+        a.emotional_state[target] = Math.min(1, a.emotional_state[target]);
+        a.cognitive_load[target] = Math.min(
+          a.cognitive_capacity[target],
+          a.cognitive_load[target] + a.cognitive_load[source] * amplification * 0.1
+        );
+      }
+    } else if (loop.type === 'negative') {
+      const deviation = a.emotional_state[target] - a.homeostatic_setpoint[target];
+      a.emotional_state[target] -= deviation * strength * 0.1;
+      a.emotional_state[target] = Math.max(0, Math.min(1, a.emotional_state[target]));
+
+      a.cognitive_load[target] -= a.cognitive_load[target] * strength * 0.05;
+      a.cognitive_load[target] = Math.max(0, a.cognitive_load[target]);
+
+      a.regulatory_capacity[target] += strength * 0.01;
+      a.regulatory_capacity[target] = Math.min(1, a.regulatory_capacity[target]);
+
+      if (!a.performing_aura[target]) {
+        a.performance_fatigue[target] -= a.performance_fatigue[target] * strength * 0.02;
+        a.performance_fatigue[target] = Math.max(0, a.performance_fatigue[target]);
+      }
+    }
+
+    this.executePerformanceFatigue(loop, target, strength, rng);
+  }
+
+  /**
+   * FeedbackLoop.executePerformanceFatigueDoubleBind()
+   */
+  executePerformanceFatigue(loop, target, strength, rng) {
+    if (loop.medium !== 'algorithmic') return;
+
+    const a = this.arrays;
+
+    if (a.financial_precarity[target] && !a.performing_aura[target]) {
+      if (rng() < 0.1) {
+        a.performing_aura[target] = 1;
+      }
+    }
+
+    if (a.performing_aura[target]) {
+      const fatigue_rate = 0.001 * (1 + a.follower_count[target] * 0.0001);
+      a.performance_fatigue[target] += fatigue_rate * strength;
+    }
+
+    if (a.performance_fatigue[target] > 0.8) {
+      const burnout_probability = (a.performance_fatigue[target] - 0.8) * 0.5;
+
+      if (rng() < burnout_probability * strength) {
+        a.performing_aura[target] = 0;
+        a.parasocial_followers[target] = Math.floor(a.parasocial_followers[target] * 0.5);
+        a.follower_count[target] = a.embodied_followers[target] + a.parasocial_followers[target];
+
+        a.burnout_count[target]++;
+        if (a.burnout_count[target] >= 3) {
+          a.pathological_adaptation[target] = 1;
+        }
+      }
+    }
+
+    if (a.performing_aura[target]) {
+      a.cognitive_load[target] = Math.min(
+        a.cognitive_capacity[target],
+        a.cognitive_load[target] + a.follower_count[target] * 0.00001 * strength
+      );
+    }
+  }
+
+  /**
+   * NetworkGenerator.calculateTrustFragmentation(), over the CSR edges
+   */
+  trustFragmentation() {
+    const trust = this.arrays.institutional_trust;
+    const offsets = this.edge_offsets;
+    const targets = this.edge_targets;
+    let difference = 0;
+
+    // Millions of edges in the large eras: keep the loop tight
+    for (let i = 0, k = 0; i < this.size; i++) {
+      const own = trust[i];
+      for (const end = offsets[i + 1]; k < end; k++) {
+        difference += Math.abs(own - trust[targets[k]]);
+      }
+    }
+
+    const ties = offsets[this.size];
+    return ties === 0 ? 0 : difference / ties;
+  }
+
+  /**
+   * NetworkGenerator.getMetrics(), over the arrays
+   *
+   * Sums run in node order, as Array.prototype.reduce does in the object
+   * model, so float64 results match exactly.
+   */
+  getMetrics() {
+    const a = this.arrays;
+    const n = this.size;
+    const average = (sum, count) => (count === 0 ? 0 : sum / count);
+
+    let cognitive_load = 0;
+    let overloaded = 0;
+    let homeostatic = 0;
+    let regulatory = 0;
+    let trust = 0;
+    let institutional_trust = 0;
+    let misinformation = 0;
+    let misinformation_accepted = 0;
+    let embodied = 0;
+    let parasocial = 0;
+    let emotional = 0;
+    let regulation = 0;
+    let addiction = 0;
+    let addicted = 0;
+    let attention = 0;
+    let tribal = 0;
+    let tribal_X = 0;
+    let double_bind = 0;
+    let pathological = 0;
+    let influencers = 0;
+    let influencer_followers = 0;
+    let learners = 0;
+    const learning_levels = [0, 0, 0, 0];
+    let inflammatory_score = 0;
+    const labels = this.generator.getFactionLabels();
+    const faction_of_code = this.codes.tribe.map((label) => labels.indexOf(label));
+    const faction_X = labels.map(() => 0);
+    const faction_counts = labels.map(() => 0);
+    let consumed = 0;
+    let dropped = 0;
+    let backlog = 0;
+    let max_backlog = 0;
+    let redundant = 0;
+    let information_value = 0;
+    let dominant = 0;
+    let dominance = 0;
+    let submissive = 0;
+    let submission = 0;
+
+    this.ensureLoopIndex();
+    const loops = this.loop_counts;
+
+    for (let i = 0; i < n; i++) {
+      cognitive_load += a.cognitive_load[i];
+      if (a.cognitive_load[i] >= a.cognitive_capacity[i]) overloaded++;
+      if (a.within_homeostatic_range[i]) homeostatic++;
+      regulatory += a.regulatory_capacity[i];
+      trust += a.trust_coherence[i];
+      institutional_trust += a.institutional_trust[i];
+      misinformation += a.misinformation_consumed[i];
+      misinformation_accepted += a.misinformation_accepted[i];
+      embodied += this.embodied_counts[i];
+      parasocial += this.parasocial_counts[i];
+      emotional += a.emotional_state[i];
+      regulation += a.emotional_regulation[i];
+      addiction += a.doom_scroll_addiction[i];
+      if (a.doom_scroll_addiction[i] > 0.5) addicted++;
+      attention += this.attentionAvailable(i);
+      consumed += a.content_consumed[i];
+      dropped += a.content_dropped[i];
+      backlog += this.queue_length[i];
+      max_backlog = Math.max(max_backlog, this.queue_length[i]);
+      redundant += a.redundant_consumed[i];
+      information_value += a.information_value_consumed[i];
+      if (a.tribe[i] !== 0) {
+        tribal++;
+        tribal_X += a.X[i];
+        const faction = faction_of_code[a.tribe[i]];
+        if (faction >= 0) {
+          faction_X[faction] += a.X[i];
+          faction_counts[faction]++;
+        }
+      }
+      if (a.complementary_position[i] === 1) {
+        dominant++;
+        dominance += a.X[i];
+      } else if (a.complementary_position[i] === 2) {
+        submissive++;
+        submission += a.X[i];
+      }
+      if (a.in_double_bind[i]) double_bind++;
+      if (a.pathological_adaptation[i]) pathological++;
+      if (a.is_influencer[i]) {
+        influencers++;
+        influencer_followers += a.follower_count[i];
+      }
+      if (a.posts_created[i] > 0) {
+        learners++;
+        learning_levels[a.learning_level[i]]++;
+        inflammatory_score += a.inflammatory_score[i];
+      }
+    }
+
+    return {
+      avg_cognitive_load: average(cognitive_load, n),
+      percent_overloaded: overloaded / n,
+      percent_within_homeostatic_range: homeostatic / n,
+      avg_regulatory_capacity: average(regulatory, n),
+      avg_trust_coherence: average(trust, n),
+      avg_institutional_trust: average(institutional_trust, n),
+      misinformation_acceptance: average(misinformation_accepted, misinformation),
+      trust_network_fragmentation: this.trustFragmentation(),
+      avg_embodied_connections: average(embodied, n),
+      avg_parasocial_connections: average(parasocial, n),
+      avg_emotional_agitation: average(emotional, n),
+      avg_emotional_regulation: average(regulation, n),
+      avg_doom_scroll_addiction: average(addiction, n),
+      doom_scroll_prevalence: addicted / n,
+      avg_attention_available: average(attention, n),
+      avg_information_value: average(information_value, consumed),
+      percent_redundant_content: average(redundant, consumed),
+      avg_buffer_backlog: backlog / n,
+      max_buffer_backlog: max_backlog,
+      content_drop_rate: average(dropped, consumed + dropped),
+      tribal_polarization: average(tribal_X, tribal),
+      faction_polarization: this.generator.calculateFactionPolarization(
+        labels.map((label, f) => ({
+          label,
+          count: faction_counts[f],
+          escalation: average(faction_X[f], faction_counts[f])
+        }))
+      ),
+      complementary_dominance: average(dominance, dominant),
+      complementary_submission: average(submission, submissive),
+      complementary_divergence: dominant + submissive === 0
+        ? 0
+        : average(dominance, dominant) - (1 - average(submission, submissive)),
+      tribal_homophily: this.generator.calculateTribalHomophily(),
+      percent_in_double_bind: double_bind / n,
+      percent_pathological: pathological / n,
+      influencer_count: influencers,
+      avg_influencer_followers: influencers === 0 ? 0 : Math.round(influencer_followers / influencers),
+      ...this.generator.calculateRoleTransitions(),
+      positive_feedback_loops: loops.positive,
+      negative_feedback_loops: loops.negative,
+      percent_learning_level_0: average(learning_levels[0], learners),
+      percent_learning_level_1: average(learning_levels[1], learners),
+      percent_learning_level_2: average(learning_levels[2], learners),
+      percent_learning_level_3: average(learning_levels[3], learners),
+      avg_inflammatory_score: average(inflammatory_score, learners),
+      ...this.generator.cascades.getMetrics(),
+      ...this.generator.getRewiringMetrics()
+    };
+  }
+}
+
+export default NodeStore;
@@ -113,6 +113,82 @@ export const ROLE_THRESHOLDS = {
   influencer: 10000 // Critical mass for platform economics
 };
 
+/**
+ * CONTENT ACCURACY BY SOURCE TYPE
+ *
+ * Content is drawn uniformly from its source's [min, max] accuracy range, and
+ * halved when inflammatory (outrage travels best when it is not checked).
+ * Below MISINFORMATION_THRESHOLD it is misinformation.
+ *
+ * - institution (broadcasters: press, stations, publishers): editorial
+ *   checks keep accuracy high
+ * - peer (everyone else who posts): usually right about what they saw
+ * - influencer: paid for attention, not accuracy
+ */
+export const SOURCE_ACCURACY = {
+  institution: { min: 0.7, max: 1.0 },
+  peer: { min: 0.5, max: 1.0 },
+  influencer: { min: 0.3, max: 1.0 }
+};
+
+export const MISINFORMATION_THRESHOLD = 0.5;
+
+/**
+ * Source type of content posted by a node with this role
+ */
+export function getSourceType(role, is_influencer) {
+  if (is_influencer || role === 'influencer') return 'influencer';
+  return role === 'broadcaster' ? 'institution' : 'peer';
+}
+
+/**
+ * Draw the accuracy of a post (one draw from rng)
+ */
+export function drawContentAccuracy(source_type, is_inflammatory, rng) {
+  const { min, max } = SOURCE_ACCURACY[source_type];
+  return (min + (max - min) * rng()) * (is_inflammatory ? 0.5 : 1);
+}
+
+/**
+ * ERA CONFIGURATIONS
+ *
+ * Besides the keys set per era below, every config accepts these optional
+ * dynamics overrides (used by experiments and parameter sweeps):
+ *
+ * - schismogenesis_k1 / schismogenesis_k2: coupling constants of the tribal
+ *   symmetrical schismogenesis loops (default 0.15 each)
+ * - double_bind_alpha / double_bind_beta / double_bind_gamma: stress
+ *   accumulation, relief and regulatory degradation rates (default 0.3, 0.2, 0.1)
+ * - complementary_k1 / complementary_k2: coupling constants of the
+ *   complementary loops between hubs and their audiences (default 0.01 each,
+ *   so the hierarchy hardens over about a hundred steps)
+ * - complementary_leader_share: share of the population acting as dominant
+ *   hubs (default 0.01); complementary_audience_size: followers per hub
+ *   (default 20)
+ * - reshare_probability: base chance that a recipient passes content on
+ *   (default 0.02; see NetworkGenerator.calculateReshareProbability);
+ *   reshare_reach: connections a reshare can reach (default 10)
+ * - regulatory_feedback_strength: scale of the negative feedback loops built
+ *   along strong embodied ties (default 1; 0 = none)
+ * - rewiring_interval: steps between network rewirings (default 10; 0 = a
+ *   static network); unfollow_threshold: ragebait posts from one creator
+ *   before a follower unfollows (default 3); tie_cut_rate: chance per
+ *   rewiring, × escalation, that a tribe member blocks someone across tribal
+ *   lines (default 0.05); follow_rate: share of online nodes following a
+ *   popular creator per rewiring (default 0.01). See
+ *   NetworkGenerator.rewireNetwork
+ * - buffer_limit: most content a node keeps waiting in its buffer (default
+ *   50); a node at cognitive capacity keeps one item per chunk. See
+ *   NetworkGenerator.shedBacklog
+ * - feed_friction: share by which the chance that a post is inflammatory is
+ *   cut, without changing how much is posted (default 0; 1 = no ragebait).
+ *   Set by the feedFriction intervention
+ *
+ * Each era's institutional_trust is only where every node's trust in
+ * institutions STARTS: it then moves with the content the node believes
+ * (Node.updateInstitutionalTrust). Override it with one value for every era
+ * to watch trust decay emerge rather than be set.
+ */
 export const ERA_CONFIGS = {
   oral_culture: {
     era_name: 'Oral Culture',
@@ -268,6 +344,7 @@ export const ERA_CONFIGS = {
 
     // Schismogenesis sampling
     schismogenesis_sample_rate: 0.05, // 5% of each tribe participates
+    schismogenesis_factions: 2, // Two camps: the classic us-vs-them split
 
     // Reach multipliers
     reach_multiplier: 10,
@@ -309,6 +386,7 @@ export const ERA_CONFIGS = {
 
     // Schismogenesis sampling
     schismogenesis_sample_rate: 0.03, // 3% participate (still 240 nodes)
+    schismogenesis_factions: 4, // Feeds fragment discourse into many camps
 
     // Reach multipliers
     reach_multiplier: 5,
@@ -488,6 +566,8 @@ export const FORCE_LAYOUT_CONFIG = {
   // Repulsion between all nodes (prevents overlap)
   repulsion_strength: 2000,  // Extremely strong repulsion for crowded later eras
   repulsion_distance: 500,   // Extremely large repulsion range
+  barnes_hut_theta: 0.8,     // Region size / distance below which a group of nodes
+                             // repels as one body (0 = exact pairwise, higher = faster)
 
   // Layout parameters
   iterations: 300,           // Number of simulation steps
@@ -6,7 +6,29 @@
 
 export { Node } from './Node.js';
 export { FeedbackLoop } from './FeedbackLoop.js';
-export { NetworkGenerator } from './NetworkGenerator.js';
+export { NetworkGenerator, TICK_PHASES } from './NetworkGenerator.js';
+export { SpatialGrid } from './SpatialGrid.js';
+export { QuadTree } from './QuadTree.js';
+export { NodeStore } from './NodeStore.js';
+export { CascadeTracker } from './CascadeTracker.js';
+export {
+  FeedRanker,
+  FEED_RANKERS,
+  createFeedRanker,
+  chronologicalRanker,
+  engagementRanker,
+  bridgingRanker,
+  frictionRanker
+} from './FeedRanker.js';
+export {
+  Intervention,
+  INTERVENTIONS,
+  reduceCoupling,
+  dialogueSpaces,
+  offlineAlternatives,
+  feedFriction,
+  configChange
+} from './Intervention.js';
 export {
   ERA_CONFIGS,
   ensureMinimumRoles,
@@ -0,0 +1,41 @@
+/**
+ * random.js
+ *
+ * Seeded pseudo-random number generation
+ *
+ * Uses Linear Congruential Generator (LCG) algorithm for deterministic
+ * pseudo-randomness. This ensures reproducibility - the same seed always
+ * generates the same sequence, critical for scientific comparison across
+ * eras and debugging emergent behaviors.
+ *
+ * The determinism here reflects Bateson's concept of "stochastic process" -
+ * we're not generating true randomness, but patterns that emerge from
+ * constrained variation (Bateson, "Mind and Nature", p. 48).
+ */
+
+/**
+ * Create a seeded random number generator returning values in [0, 1)
+ *
+ * The returned function also exposes getState()/setState() so a simulation
+ * can be snapshotted mid-run and resumed on the exact same random sequence.
+ *
+ * A negative seed is taken modulo 2^32: `%` keeps the sign, and a state
+ * that stays negative yields negative "probabilities" forever.
+ */
+export function createSeededRNG(seed) {
+  let state = seed < 0 ? (seed % 4294967296) + 4294967296 : seed;
+
+  const rng = function () {
+    state = (state * 1664525 + 1013904223) % 4294967296;
+    return state / 4294967296;
+  };
+
+  rng.getState = () => state;
+  rng.setState = (new_state) => {
+    state = new_state;
+  };
+
+  return rng;
+}
+
+export default createSeededRNG;
@@ -0,0 +1,86 @@
+/**
+ * csv.js
+ *
+ * Tabular serialization helpers shared by the CLI, experiment runners and the
+ * metrics recorder. Metrics objects may contain nested groups (e.g. per-role
+ * breakdowns); these are flattened into dotted column names so every row can
+ * be written as a single CSV line.
+ */
+
+/**
+ * Flatten a nested plain object into a single-level record
+ *
+ * { a: 1, b: { c: 2 } } → { a: 1, 'b.c': 2 }
+ * Arrays are kept as JSON strings (CSV cells cannot hold lists).
+ */
+export function flattenRecord(record, prefix = '') {
+  const flat = {};
+
+  Object.entries(record).forEach(([key, value]) => {
+    const column = prefix ? `${prefix}.${key}` : key;
+
+    if (value !== null && typeof value === 'object' && !Array.isArray(value)) {
+      Object.assign(flat, flattenRecord(value, column));
+    } else if (Array.isArray(value)) {
+      flat[column] = JSON.stringify(value);
+    } else {
+      flat[column] = value;
+    }
+  });
+
+  return flat;
+}
+
+/**
+ * Escape a single CSV cell (RFC 4180 quoting)
+ */
+export function formatCell(value) {
+  if (value === undefined || value === null) return '';
+
+  const text = String(value);
+  if (/[",\n\r]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+}
+
+/**
+ * Collect the union of column names across rows, preserving first-seen order
+ */
+export function collectColumns(rows) {
+  const columns = [];
+  const seen = new Set();
+
+  rows.forEach((row) => {
+    Object.keys(row).forEach((key) => {
+      if (!seen.has(key)) {
+        seen.add(key);
+        columns.push(key);
+      }
+    });
+  });
+
+  return columns;
+}
+
+/**
+ * Format one row as a CSV line for the given columns
+ */
+export function toCSVLine(row, columns) {
+  return columns.map((column) => formatCell(row[column])).join(',');
+}
+
+/**
+ * Convert an array of (possibly nested) records to CSV text
+ */
+export function toCSV(records, columns = null) {
+  const rows = records.map((record) => flattenRecord(record));
+  const header = columns || collectColumns(rows);
+
+  const lines = [header.map(formatCell).join(',')];
+  rows.forEach((row) => lines.push(toCSVLine(row, header)));
+
+  return lines.join('\n') + '\n';
+}
+
+export default toCSV;
@@ -0,0 +1,245 @@
+/**
+ * exporters.js
+ *
+ * Graph file formats for opening generated networks in Gephi, Cytoscape and
+ * NetworkX:
+ *
+ * - GraphML (http://graphml.graphdrawing.org/) - read by all three
+ * - GEXF 1.3 (https://gexf.net/) - Gephi's native format; includes viz positions
+ *   so the force-directed layout is preserved
+ *
+ * Both formats carry the same node and edge attributes (NODE_ATTRIBUTES and
+ * EDGE_ATTRIBUTES below). Edges are directed: source → target is the direction
+ * content flows (the target follows the source). Parallel edges are kept,
+ * since repeated contact is part of the model.
+ *
+ * Exporters are generator functions yielding lines, so multi-million-edge
+ * networks can be streamed to disk; toGraphML()/toGEXF() join them for
+ * smaller networks.
+ */
+
+/**
+ * Node attributes exported to graph formats
+ * type: 'string' | 'int' | 'double' | 'boolean'
+ */
+export const NODE_ATTRIBUTES = [
+  { key: 'role', type: 'string', get: (n) => n.role },
+  { key: 'is_influencer', type: 'boolean', get: (n) => n.is_influencer },
+  { key: 'follower_count', type: 'int', get: (n) => n.follower_count },
+  { key: 'embodied_followers', type: 'int', get: (n) => n.embodied_followers },
+  { key: 'parasocial_followers', type: 'int', get: (n) => n.parasocial_followers },
+
+  // Literacy and technological access
+  { key: 'is_literate', type: 'boolean', get: (n) => n.is_literate },
+  { key: 'has_print_access', type: 'boolean', get: (n) => n.has_print_access },
+  { key: 'has_broadcast_access', type: 'boolean', get: (n) => n.has_broadcast_access },
+  { key: 'has_internet_access', type: 'boolean', get: (n) => n.has_internet_access },
+  { key: 'has_smartphone', type: 'boolean', get: (n) => n.has_smartphone },
+
+  // Aura
+  { key: 'has_aura', type: 'boolean', get: (n) => n.has_aura },
+  { key: 'aura_strength', type: 'double', get: (n) => n.aura_strength },
+  { key: 'aura_performance_skill', type: 'double', get: (n) => n.aura_performance_skill },
+  { key: 'performing_aura', type: 'boolean', get: (n) => n.performing_aura },
+  { key: 'performance_fatigue', type: 'double', get: (n) => n.performance_fatigue },
+  { key: 'digital_aura', type: 'double', get: (n) => n.digital_aura },
+
+  // Content properties
+  { key: 'content_quality', type: 'double', get: (n) => n.content_quality },
+  { key: 'inflammatory_level', type: 'double', get: (n) => n.inflammatory_level },
+  { key: 'posting_frequency', type: 'double', get: (n) => n.posting_frequency },
+
+  // Learning
+  { key: 'posts_created', type: 'int', get: (n) => n.posts_created },
+  { key: 'learning_level', type: 'int', get: (n) => n.learning_level },
+  { key: 'inflammatory_score', type: 'double', get: (n) => n.inflammatory_score },
+
+  // Psychological state
+  { key: 'emotional_state', type: 'double', get: (n) => n.emotional_state },
+  { key: 'cognitive_load', type: 'double', get: (n) => n.cognitive_load },
+  { key: 'regulatory_capacity', type: 'double', get: (n) => n.regulatory_capacity },
+  { key: 'system_coherence', type: 'double', get: (n) => n.system_coherence },
+  { key: 'emotional_regulation', type: 'double', get: (n) => n.emotional_regulation },
+  { key: 'doom_scroll_addiction', type: 'double', get: (n) => n.doom_scroll_addiction },
+  { key: 'attention_available', type: 'double', get: (n) => n.attention_available },
+  { key: 'buffer_backlog', type: 'int', get: (n) => n.information_buffer.length },
+  { key: 'trust_coherence', type: 'double', get: (n) => n.trust_coherence },
+  { key: 'institutional_trust', type: 'double', get: (n) => n.institutional_trust },
+
+  // Schismogenesis
+  { key: 'tribal_affiliation', type: 'string', get: (n) => n.schismogenesis_state.tribal_affiliation },
+  { key: 'is_tribal_leader', type: 'boolean', get: (n) => Boolean(n.schismogenesis_state.is_tribal_leader) },
+  { key: 'schismogenesis_type', type: 'string', get: (n) => n.schismogenesis_state.type },
+  { key: 'complementary_position', type: 'string', get: (n) => n.schismogenesis_state.complementary_position },
+  { key: 'escalation_X', type: 'double', get: (n) => n.schismogenesis_state.X },
+
+  // Double bind
+  { key: 'in_double_bind', type: 'boolean', get: (n) => n.double_bind.in_double_bind },
+  { key: 'double_bind_S', type: 'double', get: (n) => n.double_bind.S },
+  { key: 'double_bind_R', type: 'double', get: (n) => n.double_bind.R },
+  { key: 'pathological_adaptation', type: 'boolean', get: (n) => n.double_bind.pathological_adaptation },
+
+  // Layout position
+  { key: 'x', type: 'double', get: (n) => n.position.x },
+  { key: 'y', type: 'double', get: (n) => n.position.y },
+  { key: 'z', type: 'double', get: (n) => n.position.z }
+];
+
+/**
+ * Edge attributes exported to graph formats
+ */
+export const EDGE_ATTRIBUTES = [
+  { key: 'medium', type: 'string', get: (e) => e.medium },
+  { key: 'strength', type: 'double', get: (e) => e.strength },
+  { key: 'force_strength', type: 'double', get: (e) => e.force_strength }
+];
+
+/**
+ * Escape text for XML attribute values and content
+ */
+export function escapeXML(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Attribute value present and exportable (null/undefined/NaN are omitted)
+ */
+function hasValue(value) {
+  return value !== null && value !== undefined && !(typeof value === 'number' && Number.isNaN(value));
+}
+
+/**
+ * GraphML lines for a network ({ nodes, edges, config })
+ */
+export function* graphMLLines(network) {
+  yield '<?xml version="1.0" encoding="UTF-8"?>';
+  yield '<graphml xmlns="http://graphml.graphdrawing.org/xmlns"';
+  yield '         xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"';
+  yield '         xsi:schemaLocation="http://graphml.graphdrawing.org/xmlns http://graphml.graphdrawing.org/xmlns/1.0/graphml.xsd">';
+
+  for (const attribute of NODE_ATTRIBUTES) {
+    yield `  <key id="n_${attribute.key}" for="node" attr.name="${attribute.key}" attr.type="${attribute.type}"/>`;
+  }
+  for (const attribute of EDGE_ATTRIBUTES) {
+    yield `  <key id="e_${attribute.key}" for="edge" attr.name="${attribute.key}" attr.type="${attribute.type}"/>`;
+  }
+
+  const era_name = network.config && network.config.era_name ? network.config.era_name : 'network';
+  yield `  <graph id="${escapeXML(era_name)}" edgedefault="directed">`;
+
+  for (const node of network.nodes) {
+    yield `    <node id="n${node.id}">`;
+    for (const attribute of NODE_ATTRIBUTES) {
+      const value = attribute.get(node);
+      if (hasValue(value)) {
+        yield `      <data key="n_${attribute.key}">${escapeXML(value)}</data>`;
+      }
+    }
+    yield '    </node>';
+  }
+
+  let edge_id = 0;
+  for (const edge of network.edges) {
+    yield `    <edge id="e${edge_id++}" source="n${edge.source}" target="n${edge.target}">`;
+    for (const attribute of EDGE_ATTRIBUTES) {
+      const value = attribute.get(edge);
+      if (hasValue(value)) {
+        yield `      <data key="e_${attribute.key}">${escapeXML(value)}</data>`;
+      }
+    }
+    yield '    </edge>';
+  }
+
+  yield '  </graph>';
+  yield '</graphml>';
+}
+
+/**
+ * GEXF attribute types differ slightly from GraphML ('integer' vs 'int')
+ */
+function gexfType(type) {
+  return type === 'int' ? 'integer' : type;
+}
+
+/**
+ * GEXF 1.3 lines for a network ({ nodes, edges, config })
+ */
+export function* gexfLines(network) {
+  yield '<?xml version="1.0" encoding="UTF-8"?>';
+  yield '<gexf xmlns="http://gexf.net/1.3" xmlns:viz="http://gexf.net/1.3/viz" version="1.3">';
+  yield '  <meta>';
+  yield '    <creator>orality-network-model</creator>';
+  if (network.config && network.config.era_name) {
+    yield `    <description>${escapeXML(network.config.era_name)}</description>`;
+  }
+  yield '  </meta>';
+  yield '  <graph mode="static" defaultedgetype="directed">';
+
+  yield '    <attributes class="node">';
+  for (let i = 0; i < NODE_ATTRIBUTES.length; i++) {
+    const attribute = NODE_ATTRIBUTES[i];
+    yield `      <attribute id="${i}" title="${attribute.key}" type="${gexfType(attribute.type)}"/>`;
+  }
+  yield '    </attributes>';
+
+  yield '    <attributes class="edge">';
+  for (let i = 0; i < EDGE_ATTRIBUTES.length; i++) {
+    const attribute = EDGE_ATTRIBUTES[i];
+    yield `      <attribute id="${i}" title="${attribute.key}" type="${gexfType(attribute.type)}"/>`;
+  }
+  yield '    </attributes>';
+
+  yield '    <nodes>';
+  for (const node of network.nodes) {
+    yield `      <node id="${node.id}" label="${escapeXML(`${node.role} ${node.id}`)}">`;
+    yield '        <attvalues>';
+    for (let i = 0; i < NODE_ATTRIBUTES.length; i++) {
+      const value = NODE_ATTRIBUTES[i].get(node);
+      if (hasValue(value)) {
+        yield `          <attvalue for="${i}" value="${escapeXML(value)}"/>`;
+      }
+    }
+    yield '        </attvalues>';
+    yield `        <viz:position x="${node.position.x}" y="${node.position.y}" z="${node.position.z}"/>`;
+    yield '      </node>';
+  }
+  yield '    </nodes>';
+
+  yield '    <edges>';
+  let edge_id = 0;
+  for (const edge of network.edges) {
+    yield `      <edge id="${edge_id++}" source="${edge.source}" target="${edge.target}" weight="${edge.strength}">`;
+    yield '        <attvalues>';
+    for (let i = 0; i < EDGE_ATTRIBUTES.length; i++) {
+      const value = EDGE_ATTRIBUTES[i].get(edge);
+      if (hasValue(value)) {
+        yield `          <attvalue for="${i}" value="${escapeXML(value)}"/>`;
+      }
+    }
+    yield '        </attvalues>';
+    yield '      </edge>';
+  }
+  yield '    </edges>';
+
+  yield '  </graph>';
+  yield '</gexf>';
+}
+
+/**
+ * Network as a GraphML string
+ */
+export function toGraphML(network) {
+  return [...graphMLLines(network)].join('\n') + '\n';
+}
+
+/**
+ * Network as a GEXF string
+ */
+export function toGEXF(network) {
+  return [...gexfLines(network)].join('\n') + '\n';
+}
@@ -0,0 +1,385 @@
+/**
+ * snapshot.js
+ *
+ * Lossless JSON snapshot of a network mid-simulation, and restoring it
+ *
+ * Unlike GraphML/GEXF, which export a chosen set of attributes for analysis
+ * tools, a snapshot records EVERYTHING needed to continue the run: the era,
+ * seed and (possibly overridden) config, the step count and RNG state, every
+ * node field (schismogenesis_state, double_bind, information_buffer, ...),
+ * every edge, every feedback loop, the content cascades in flight, the
+ * ragebait tallies that drive rewiring and the feed ranker (by name and
+ * session_limit - a custom ranker's score function cannot be saved).
+ *
+ * Object references are replaced by indices so the structure survives
+ * JSON.stringify:
+ * - node connection arrays hold indices into `edges`
+ * - feedback loops hold source/target node ids
+ *
+ * Edges are stored compactly, as arrays of values in `edge_fields` order.
+ *
+ * The algorithmic era has over five million edges: far more than fits in one
+ * JSON string. snapshotLines() therefore writes the snapshot as a JSON
+ * document with one top-level member, node, edge or feedback loop per line,
+ * and readSnapshot() reads such a file back line by line. Any JSON parser
+ * still reads the file whole.
+ *
+ * restoreSnapshot() rebuilds a live NetworkGenerator whose subsequent update()
+ * calls produce exactly the trajectory the original would have produced - a
+ * run can be stopped at step 500 and resumed on another machine.
+ */
+
+import { openSync, readSync, closeSync } from 'node:fs';
+import { NetworkGenerator } from '../core/NetworkGenerator.js';
+import { Node } from '../core/Node.js';
+import { FeedbackLoop } from '../core/FeedbackLoop.js';
+import { FEED_RANKERS, createFeedRanker } from '../core/FeedRanker.js';
+
+export const SNAPSHOT_FORMAT = 'orality-network-snapshot';
+export const SNAPSHOT_VERSION = 2;
+
+/**
+ * Node connection arrays, keyed by medium
+ */
+export const CONNECTION_KEYS = {
+  embodied: 'embodied_connections',
+  print: 'print_connections',
+  broadcast: 'broadcast_connections',
+  internet: 'internet_connections',
+  algorithmic: 'algorithmic_connections'
+};
+
+/**
+ * Node fields that are references rather than state
+ */
+const NODE_REFERENCE_FIELDS = new Set([...Object.values(CONNECTION_KEYS), 'rng']);
+
+/**
+ * Serialize one node: all own state, with connections as edge indices
+ */
+function serializeNode(node, edge_index) {
+  const state = {};
+  Object.keys(node).forEach((key) => {
+    if (!NODE_REFERENCE_FIELDS.has(key)) {
+      state[key] = node[key];
+    }
+  });
+
+  const connections = {};
+  Object.entries(CONNECTION_KEYS).forEach(([medium, key]) => {
+    connections[medium] = node[key].map((edge) => edge_index.get(edge));
+  });
+
+  return { ...state, connections };
+}
+
+/**
+ * Serialize one feedback loop, replacing node references with ids
+ */
+function serializeFeedbackLoop(loop) {
+  const state = {};
+  Object.keys(loop).forEach((key) => {
+    if (key === 'source' || key === 'target') {
+      state[key] = loop[key].id;
+    } else if (key !== 'rng') {
+      state[key] = loop[key];
+    }
+  });
+  return state;
+}
+
+/**
+ * Edge fields in use, in first-seen order
+ */
+function collectEdgeFields(edges) {
+  const fields = new Set(['source', 'target', 'medium', 'strength']);
+  edges.forEach((edge) => Object.keys(edge).forEach((key) => fields.add(key)));
+  return [...fields];
+}
+
+/**
+ * One edge as an array of values in `fields` order (null where absent)
+ */
+function packEdge(edge, fields) {
+  return fields.map((field) => edge[field] ?? null);
+}
+
+/**
+ * Everything but the nodes, edges and feedback loops, in snapshot order
+ */
+function snapshotHeader(generator, edge_fields) {
+  return {
+    format: SNAPSHOT_FORMAT,
+    version: SNAPSHOT_VERSION,
+    created: new Date().toISOString(),
+    era: generator.era,
+    seed: generator.seed,
+    step: generator.step,
+    rng_state: generator.rng.getState(),
+    config: generator.config,
+    feed_ranker: {
+      name: generator.feed_ranker.name,
+      session_limit: generator.feed_ranker.session_limit
+    },
+    cascades: generator.cascades.serialize(),
+    rewiring: {
+      exposure: [...generator.rewiring.exposure],
+      totals: generator.rewiring.totals
+    },
+    role_transitions: generator.role_transitions,
+    edge_fields
+  };
+}
+
+function edgeIndex(generator) {
+  const edge_index = new Map();
+  generator.edges.forEach((edge, i) => edge_index.set(edge, i));
+  return edge_index;
+}
+
+/**
+ * Create a JSON-safe snapshot of a NetworkGenerator
+ */
+export function createSnapshot(generator) {
+  const edge_index = edgeIndex(generator);
+  const edge_fields = collectEdgeFields(generator.edges);
+
+  return {
+    ...snapshotHeader(generator, edge_fields),
+    nodes: generator.nodes.map((node) => serializeNode(node, edge_index)),
+    edges: generator.edges.map((edge) => packEdge(edge, edge_fields)),
+    feedback_loops: generator.feedback_loops.map(serializeFeedbackLoop)
+  };
+}
+
+/**
+ * The snapshot as lines of JSON text (one member, node, edge or feedback
+ * loop per line), for writing in chunks
+ */
+export function* snapshotLines(generator) {
+  const edge_index = edgeIndex(generator);
+  const edge_fields = collectEdgeFields(generator.edges);
+  const header = Object.entries(snapshotHeader(generator, edge_fields));
+
+  yield '{';
+  for (const [key, value] of header) {
+    yield `${JSON.stringify(key)}:${JSON.stringify(value)},`;
+  }
+
+  const sections = [
+    ['nodes', generator.nodes, (node) => serializeNode(node, edge_index)],
+    ['edges', generator.edges, (edge) => packEdge(edge, edge_fields)],
+    ['feedback_loops', generator.feedback_loops, serializeFeedbackLoop]
+  ];
+  for (let s = 0; s < sections.length; s++) {
+    const [key, items, serialize] = sections[s];
+    yield `"${key}":[`;
+    for (let i = 0; i < items.length; i++) {
+      yield JSON.stringify(serialize(items[i])) + (i < items.length - 1 ? ',' : '');
+    }
+    yield s < sections.length - 1 ? '],' : ']';
+  }
+  yield '}';
+}
+
+/**
+ * Snapshot as a JSON string (small networks; write large ones with
+ * snapshotLines)
+ */
+export function toSnapshotJSON(generator) {
+  return [...snapshotLines(generator)].join('\n');
+}
+
+/**
+ * Lines of a text file, read in chunks
+ */
+function* readLines(path) {
+  const fd = openSync(path, 'r');
+  const buffer = Buffer.alloc(1 << 20);
+  let rest = '';
+  try {
+    let bytes;
+    while ((bytes = readSync(fd, buffer, 0, buffer.length, null)) > 0) {
+      const lines = (rest + buffer.toString('utf8', 0, bytes)).split('\n');
+      rest = lines.pop();
+      yield* lines;
+    }
+    if (rest) yield rest;
+  } finally {
+    closeSync(fd);
+  }
+}
+
+/**
+ * Read a snapshot file written by snapshotLines(), line by line
+ *
+ * Files in any other layout of the same JSON (version 1 snapshots, which
+ * were written whole, or pretty-printed ones) are parsed in one piece.
+ *
+ * @param {string} path
+ * @returns {Object} The snapshot object
+ */
+export function readSnapshot(path) {
+  const lines = readLines(path);
+  const head = [lines.next().value ?? '', lines.next().value ?? ''];
+  if (head[0] !== '{' || head[1] !== `"format":${JSON.stringify(SNAPSHOT_FORMAT)},`) {
+    return JSON.parse([...head, ...lines].join('\n'));
+  }
+
+  const data = { format: SNAPSHOT_FORMAT };
+  let section = null; // Array being filled, between "key":[ and ]
+  const strip = (line) => (line.endsWith(',') ? line.slice(0, -1) : line);
+
+  for (const raw of lines) {
+    const line = raw.trim();
+    if (line === '' || line === '}') continue;
+
+    if (section) {
+      if (line === ']' || line === '],') {
+        section = null;
+      } else {
+        section.push(JSON.parse(strip(line)));
+      }
+    } else if (line.endsWith(':[')) {
+      section = data[JSON.parse(line.slice(0, -2))] = [];
+    } else {
+      Object.assign(data, JSON.parse(`{${strip(line)}}`));
+    }
+  }
+  return data;
+}
+
+/**
+ * Rebuild a live NetworkGenerator from a snapshot
+ *
+ * @param {Object|string} snapshot - Snapshot object or its JSON text
+ * @param {Object} [options] - NetworkGenerator options (logger, ...); the
+ *   snapshot's config always wins over options.config, and its feed ranker
+ *   is used unless options.feed_ranker is given
+ * @returns {NetworkGenerator}
+ */
+export function restoreSnapshot(snapshot, options = {}) {
+  // Deep copy so the restored network never shares state with the source
+  const data = typeof snapshot === 'string' ? JSON.parse(snapshot) : structuredClone(snapshot);
+  return restoreSnapshotData(data, options);
+}
+
+/**
+ * Rebuild a live NetworkGenerator from a snapshot file (read line by line,
+ * see readSnapshot)
+ */
+export function loadSnapshot(path, options = {}) {
+  return restoreSnapshotData(readSnapshot(path), options);
+}
+
+/**
+ * The feed ranker a snapshot was taken with (undefined for version 1
+ * snapshots, which did not record it: the generator's default)
+ */
+function savedFeedRanker(saved) {
+  if (!saved) return undefined;
+
+  if (!FEED_RANKERS[saved.name]) {
+    throw new Error(`Snapshot used custom feed ranker "${saved.name}"; pass options.feed_ranker to restore it`);
+  }
+  return createFeedRanker(saved.name, saved.session_limit === null ? {} : { session_limit: saved.session_limit });
+}
+
+/**
+ * restoreSnapshot() on parsed data the restored network may take over
+ */
+function restoreSnapshotData(data, options) {
+  if (data.format !== SNAPSHOT_FORMAT) {
+    throw new Error(`Not a network snapshot (format: ${data.format})`);
+  }
+  if (data.version > SNAPSHOT_VERSION) {
+    throw new Error(`Snapshot version ${data.version} is newer than supported version ${SNAPSHOT_VERSION}`);
+  }
+
+  const generator = new NetworkGenerator(data.era, data.seed, {
+    ...options,
+    config: data.config,
+    feed_ranker: options.feed_ranker ?? savedFeedRanker(data.feed_ranker)
+  });
+  generator.step = data.step || 0;
+
+  // Edges first: nodes refer to them by index. Version 1 stored objects;
+  // later versions store value arrays in edge_fields order (unpacked in
+  // place, so the arrays can be freed as we go)
+  if (data.edge_fields) {
+    const fields = data.edge_fields;
+    data.edges.forEach((values, i) => {
+      const edge = {};
+      fields.forEach((field, k) => {
+        if (values[k] !== null) edge[field] = values[k];
+      });
+      data.edges[i] = edge;
+    });
+  }
+  generator.edges = data.edges;
+
+  // Nodes: construct, then overwrite every field with the saved state.
+  // The constructor draws intrinsic properties from its RNG; those draws are
+  // discarded here, and the RNG state is restored afterwards.
+  generator.nodes = data.nodes.map(({ connections, ...state }) => {
+    const node = Object.assign(new Node(state.id, generator.config, generator.rng), state);
+
+    Object.entries(CONNECTION_KEYS).forEach(([medium, key]) => {
+      node[key] = (connections[medium] || []).map((index) => generator.edges[index]);
+    });
+
+    return node;
+  });
+
+  generator.feedback_loops = data.feedback_loops.map(({ source, target, type, ...state }) => {
+    const loop = new FeedbackLoop(generator.nodes[source], generator.nodes[target], type, {
+      rng: generator.rng
+    });
+    return Object.assign(loop, state);
+  });
+
+  // Older snapshots have no cascades: their content spreads no further
+  if (data.cascades) {
+    generator.cascades.restore(data.cascades);
+  }
+
+  generator.role_transitions = data.role_transitions || [];
+
+  if (data.rewiring) {
+    generator.rewiring = {
+      exposure: new Map(data.rewiring.exposure),
+      totals: data.rewiring.totals
+    };
+  } else {
+    // Older snapshots never split followers: take the split from the edges,
+    // or the first rewiring would read every mediated tie as lost to burnout
+    generator.nodes.forEach((node) => {
+      node.embodied_followers = node.embodied_connections.length;
+      node.parasocial_followers = Object.values(CONNECTION_KEYS)
+        .filter((key) => key !== 'embodied_connections')
+        .reduce((sum, key) => sum + node[key].length, 0);
+    });
+  }
+
+  if (generator.backend === 'typed') {
+    generator.attachNodeStore();
+  }
+
+  if (data.rng_state !== undefined) {
+    generator.rng.setState(data.rng_state);
+  }
+
+  return generator;
+}
+
+/**
+ * The network_data shape returned by NetworkGenerator.generate()
+ */
+export function getNetworkData(generator) {
+  return {
+    nodes: generator.nodes,
+    edges: generator.edges,
+    feedback_loops: generator.feedback_loops,
+    config: generator.config
+  };
+}
@@ -4,17 +4,37 @@
  * Application entry point - connects UI, network generation, and visualization
  */
 
-import { NetworkGenerator } from './core/NetworkGenerator.js';
+import { SimulationClient } from './worker/SimulationClient.js';
 import { Visualizer } from './visualization/Visualizer.js';
+import { MetricsRecorder } from './analysis/MetricsRecorder.js';
+import { Sparkline, TimeSeriesChart } from './visualization/MetricCharts.js';
+
+const formatPercent = (value) => `${(value * 100).toFixed(1)}%`;
+const formatFixed = (value) => value.toFixed(2);
+
+/**
+ * Metrics with sparklines and full charts
+ * domain: fixed y range for bounded metrics (null = scale to the data)
+ */
+const CHART_METRICS = {
+  avg_cognitive_load: { label: 'Cognitive Load', domain: [0, 1], format: formatFixed },
+  percent_within_homeostatic_range: { label: 'Homeostatic', domain: [0, 1], format: formatPercent },
+  avg_emotional_agitation: { label: 'Emotional', domain: [0, 1], format: formatFixed },
+  tribal_polarization: { label: 'Polarization', domain: [0, 1], format: formatFixed },
+  percent_in_double_bind: { label: 'Double Bind', domain: [0, 1], format: formatPercent },
+  influencer_count: { label: 'Influencers', domain: null, format: (value) => Math.round(value).toLocaleString() }
+};
 
 class App {
   constructor() {
     // State
-    this.generator = null;
+    this.simulation = new SimulationClient(); // Generation and update() run in a worker
     this.visualizer = null;
     this.network_data = null;
+    this.recorder = new MetricsRecorder();
     this.simulating = false;
     this.simulation_interval = null;
+    this.stepping = false; // An update() is in flight
     this.currentTheme = document.documentElement.getAttribute('data-theme') || 'light';
 
     // DOM elements
@@ -25,11 +45,27 @@ class App {
     this.simulateBtn = document.getElementById('simulate-btn');
     this.resetBtn = document.getElementById('reset-btn');
     this.loading = document.getElementById('loading');
+    this.loadingText = document.getElementById('loading-text');
+    this.loadingProgress = document.getElementById('loading-progress');
+    this.cancelBtn = document.getElementById('cancel-btn');
     this.stats = document.getElementById('stats');
     this.sidebarToggleBtn = document.getElementById('sidebar-toggle-btn');
     this.controlPanel = document.getElementById('control-panel');
     this.statsToggle = document.getElementById('stats-toggle');
     this.statsContent = document.getElementById('stats-content');
+    this.downloadMetricsBtn = document.getElementById('download-metrics-btn');
+    this.chartPanel = document.getElementById('chart-panel');
+    this.chartTitle = document.getElementById('chart-title');
+    this.chartClose = document.getElementById('chart-close');
+
+    // Metric history charts
+    this.sparklines = {};
+    document.querySelectorAll('.sparkline').forEach((canvas) => {
+      const metric = canvas.dataset.metric;
+      this.sparklines[metric] = new Sparkline(canvas, { domain: CHART_METRICS[metric].domain });
+    });
+    this.chart = new TimeSeriesChart(document.getElementById('metric-chart'));
+    this.chartMetric = null;
 
     // Connection type toggles
     this.toggleEmbodied = document.getElementById('toggle-embodied');
@@ -66,9 +102,23 @@ class App {
     this.generateBtn.addEventListener('click', () => this.generateNetwork());
     this.simulateBtn.addEventListener('click', () => this.toggleSimulation());
     this.resetBtn.addEventListener('click', () => this.reset());
+    this.cancelBtn.addEventListener('click', () => this.cancelGeneration());
     this.themeToggle.addEventListener('click', () => this.toggleTheme());
     this.sidebarToggleBtn.addEventListener('click', () => this.toggleControlPanel());
     this.statsToggle.addEventListener('click', () => this.toggleStatsPanel());
+    this.downloadMetricsBtn.addEventListener('click', () => this.downloadMetrics());
+    this.chartClose.addEventListener('click', () => this.closeChart());
+
+    // Sparklines open the full chart for their metric
+    Object.entries(this.sparklines).forEach(([metric, sparkline]) => {
+      sparkline.canvas.addEventListener('click', () => this.openChart(metric));
+      sparkline.canvas.addEventListener('keydown', (event) => {
+        if (event.key === 'Enter' || event.key === ' ') {
+          event.preventDefault();
+          this.openChart(metric);
+        }
+      });
+    });
 
     // Connection type toggles
     this.toggleEmbodied.addEventListener('change', () => this.updateEdgeVisibility());
@@ -144,6 +194,9 @@ class App {
       this.visualizer.updateTheme(this.currentTheme);
     }
 
+    // Canvas charts read theme colors at draw time
+    this.updateCharts();
+
     console.log(`Theme switched to ${this.currentTheme}`);
   }
 
@@ -154,6 +207,7 @@ class App {
     const era = this.eraSelect.value;
 
     // Show loading
+    this.showProgress({ phase: 'Starting', index: 0, total: 1 });
     this.loading.style.display = 'block';
     this.generateBtn.disabled = true;
 
@@ -168,13 +222,14 @@ class App {
       this.stopSimulation();
     }
 
-    // Generate network (async to allow UI update)
-    await new Promise((resolve) => setTimeout(resolve, 50));
+    this.network_data = null;
+    this.recorder.clear();
 
     try {
       console.log(`Generating ${era} network...`);
-      this.generator = new NetworkGenerator(era);
-      this.network_data = this.generator.generate();
+      this.network_data = await this.simulation.generate(era, {
+        onProgress: (progress) => this.showProgress(progress)
+      });
 
       // Create visualization with current theme
       this.visualizer = new Visualizer(this.container, this.network_data, {
@@ -182,9 +237,9 @@ class App {
       });
       this.visualizer.init();
 
-      // Show stats
+      // Show stats (step 0 is the freshly generated network)
       this.stats.style.display = 'block';
-      this.updateStats();
+      this.recordAndUpdateStats();
 
       // Enable simulation button
       this.simulateBtn.disabled = false;
@@ -193,14 +248,35 @@ class App {
       // Start stats update loop
       this.startStatsUpdate();
     } catch (error) {
-      console.error('Error generating network:', error);
-      alert('Error generating network. See console for details.');
+      if (error.name === 'AbortError') {
+        console.log('Generation cancelled');
+        this.reset();
+      } else {
+        console.error('Error generating network:', error);
+        alert('Error generating network. See console for details.');
+      }
     } finally {
       this.loading.style.display = 'none';
       this.generateBtn.disabled = false;
     }
   }
 
+  /**
+   * Show generation progress in the loading overlay
+   */
+  showProgress({ phase, index, total }) {
+    this.loadingText.textContent = `${phase}… (${index + 1}/${total})`;
+    this.loadingProgress.max = total;
+    this.loadingProgress.value = index;
+  }
+
+  /**
+   * Abandon the generation in progress
+   */
+  cancelGeneration() {
+    this.simulation.cancel();
+  }
+
   /**
    * Toggle simulation on/off
    */
@@ -220,16 +296,42 @@ class App {
     this.simulateBtn.textContent = 'Stop Simulation';
 
     // Run simulation step every 100ms
-    this.simulation_interval = setInterval(() => {
-      if (this.generator) {
-        this.generator.update(1); // Update with dt=1
-        this.updateStats();
-      }
-    }, 100);
+    this.simulation_interval = setInterval(() => this.stepSimulation(), 100);
 
     console.log('Simulation started');
   }
 
+  /**
+   * Run one update() in the worker, then record and show the result
+   *
+   * Ticks that arrive while a step is still in flight are skipped, so slow
+   * steps lower the rate rather than queueing up.
+   */
+  async stepSimulation() {
+    if (!this.network_data || this.stepping) return;
+
+    this.stepping = true;
+    try {
+      await this.simulation.update(1); // Update with dt=1
+
+      // Rewiring changed the network: redraw its edges
+      if (this.simulation.edges !== this.network_data.edges) {
+        this.network_data.edges = this.simulation.edges;
+        this.visualizer.updateEdges();
+        this.updateEdgeVisibility();
+      }
+
+      this.recordAndUpdateStats();
+    } catch (error) {
+      if (error.name !== 'AbortError') {
+        console.error('Error updating simulation:', error);
+        this.stopSimulation();
+      }
+    } finally {
+      this.stepping = false;
+    }
+  }
+
   /**
    * Stop simulation
    */
@@ -256,8 +358,10 @@ class App {
       this.visualizer = null;
     }
 
-    this.generator = null;
+    this.simulation.cancel();
     this.network_data = null;
+    this.recorder.clear();
+    this.closeChart();
     this.stats.style.display = 'none';
     this.simulateBtn.disabled = true;
     this.resetBtn.disabled = true;
@@ -288,13 +392,73 @@ class App {
     });
   }
 
+  /**
+   * Record the current step's metrics, then show them
+   */
+  recordAndUpdateStats() {
+    if (!this.network_data) return;
+    this.updateStats(this.recorder.record(this.simulation));
+    this.updateCharts();
+  }
+
+  /**
+   * Redraw sparklines (and the open chart) from the recorded history
+   */
+  updateCharts() {
+    Object.entries(this.sparklines).forEach(([metric, sparkline]) => {
+      sparkline.draw(this.recorder.getSeries(metric));
+    });
+
+    if (this.chartMetric) {
+      this.chart.draw(this.recorder.getSeries('step'), this.recorder.getSeries(this.chartMetric));
+    }
+  }
+
+  /**
+   * Show the full time-series chart for a metric
+   */
+  openChart(metric) {
+    const { label, domain, format } = CHART_METRICS[metric];
+
+    this.chartMetric = metric;
+    this.chartTitle.textContent = label;
+    this.chart.setOptions({ domain, format });
+    this.chartPanel.style.display = 'block';
+    this.updateCharts();
+  }
+
+  /**
+   * Hide the full chart
+   */
+  closeChart() {
+    this.chartMetric = null;
+    this.chartPanel.style.display = 'none';
+  }
+
+  /**
+   * Download the recorded metric history as CSV
+   */
+  downloadMetrics() {
+    if (!this.network_data || this.recorder.size === 0) return;
+
+    const blob = new Blob([this.recorder.toCSV()], { type: 'text/csv' });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${this.simulation.era}-seed${this.simulation.seed}-metrics.csv`;
+    link.click();
+
+    URL.revokeObjectURL(url);
+  }
+
   /**
    * Update stats display
    */
-  updateStats() {
-    if (!this.generator || !this.visualizer) return;
+  updateStats(metrics = null) {
+    if (!this.network_data || !this.visualizer) return;
 
-    const metrics = this.generator.getMetrics();
+    metrics = metrics || this.simulation.getMetrics();
 
     // Basic stats
     this.nodesEl.textContent = this.network_data.nodes.length.toLocaleString();
@@ -0,0 +1,276 @@
+/**
+ * MetricCharts.js
+ *
+ * Sparklines and time-series charts for recorded metrics
+ *
+ * A single number in the stats panel shows where the system IS; escalation
+ * (schismogenesis), collapse (homeostasis) and saturation (double binds) are
+ * claims about TRAJECTORIES. These charts draw the recorded history.
+ *
+ * Following Tufte ("Beautiful Evidence", 2006):
+ * - Sparklines are word-sized, with no axes or gridlines - just the line,
+ *   a dot on the current value, and faint dots on the minimum and maximum
+ * - The full chart adds only what is needed to read values: the y range,
+ *   first/last step and the current value
+ *
+ * Both draw onto a <canvas> with the 2D context (three.js is not needed for a
+ * line), reading colors from the page's CSS custom properties so they follow
+ * the light/dark theme.
+ */
+
+/**
+ * Read a CSS custom property (falls back when the canvas is detached)
+ */
+function cssColor(element, name, fallback) {
+  const value = getComputedStyle(element).getPropertyValue(name).trim();
+  return value || fallback;
+}
+
+/**
+ * Resize the canvas backing store to its CSS size × devicePixelRatio
+ *
+ * @returns {{ ctx: CanvasRenderingContext2D, width: number, height: number }} in CSS pixels
+ */
+function prepareCanvas(canvas) {
+  const ratio = window.devicePixelRatio || 1;
+  const width = canvas.clientWidth || canvas.width;
+  const height = canvas.clientHeight || canvas.height;
+
+  if (canvas.width !== Math.round(width * ratio) || canvas.height !== Math.round(height * ratio)) {
+    canvas.width = Math.round(width * ratio);
+    canvas.height = Math.round(height * ratio);
+  }
+
+  const ctx = canvas.getContext('2d');
+  ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+  ctx.clearRect(0, 0, width, height);
+
+  return { ctx, width, height };
+}
+
+/**
+ * Min and max of finite values
+ */
+function extent(values) {
+  let min = Infinity;
+  let max = -Infinity;
+  let min_index = -1;
+  let max_index = -1;
+
+  values.forEach((value, i) => {
+    if (!Number.isFinite(value)) return;
+    if (value < min) { min = value; min_index = i; }
+    if (value > max) { max = value; max_index = i; }
+  });
+
+  return { min, max, min_index, max_index };
+}
+
+/**
+ * Trace values as a polyline within a plot box
+ *
+ * Long histories have far more points than pixels; each pixel column draws
+ * only its min and max, which keeps spikes visible at any history length.
+ */
+function traceLine(ctx, values, box, domain) {
+  const n = values.length;
+  const span = domain.max - domain.min || 1;
+  const x = (i) => box.x + (n === 1 ? box.width : (i / (n - 1)) * box.width);
+  const y = (v) => box.y + box.height - ((v - domain.min) / span) * box.height;
+
+  ctx.beginPath();
+  let started = false;
+  const per_pixel = Math.max(1, Math.floor(n / Math.max(1, box.width)));
+
+  for (let start = 0; start < n; start += per_pixel) {
+    const end = Math.min(n, start + per_pixel);
+    let lo = start;
+    let hi = start;
+    for (let i = start; i < end; i++) {
+      if (values[i] < values[lo]) lo = i;
+      if (values[i] > values[hi]) hi = i;
+    }
+
+    // Keep chronological order within the bucket
+    const points = lo <= hi ? [lo, hi] : [hi, lo];
+    points.forEach((i) => {
+      if (!Number.isFinite(values[i])) return;
+      if (started) {
+        ctx.lineTo(x(i), y(values[i]));
+      } else {
+        ctx.moveTo(x(i), y(values[i]));
+        started = true;
+      }
+    });
+  }
+
+  ctx.stroke();
+  return { x, y };
+}
+
+/**
+ * Choose a y domain: a fixed one if given, widened to fit the data
+ */
+function resolveDomain(values, fixed) {
+  const { min, max } = extent(values);
+  if (min === Infinity) return { min: 0, max: 1 };
+
+  const domain = fixed ? { min: Math.min(fixed[0], min), max: Math.max(fixed[1], max) } : { min, max };
+  if (domain.max === domain.min) {
+    domain.max += 0.5;
+    domain.min -= 0.5;
+  }
+  return domain;
+}
+
+export class Sparkline {
+  /**
+   * @param {HTMLCanvasElement} canvas
+   * @param {Object} [options]
+   * @param {number[]} [options.domain] - Fixed [min, max] (e.g. [0, 1] for shares);
+   *   omitted = scale to the data
+   */
+  constructor(canvas, options = {}) {
+    this.canvas = canvas;
+    this.domain = options.domain || null;
+  }
+
+  /**
+   * Draw the full series (oldest first)
+   */
+  draw(values) {
+    const { ctx, width, height } = prepareCanvas(this.canvas);
+    if (values.length === 0) return;
+
+    const line_color = cssColor(this.canvas, '--color-text-secondary', '#6B5D52');
+    const extreme_color = cssColor(this.canvas, '--color-text-tertiary', '#9B8D82');
+    const current_color = cssColor(this.canvas, '--color-error', '#B85C5C');
+
+    const pad = 2; // Room for the end dots
+    const box = { x: pad, y: pad, width: width - pad * 2, height: height - pad * 2 };
+    const domain = resolveDomain(values, this.domain);
+
+    ctx.strokeStyle = line_color;
+    ctx.lineWidth = 1;
+    ctx.lineJoin = 'round';
+    const { x, y } = traceLine(ctx, values, box, domain);
+
+    const dot = (i, color) => {
+      ctx.fillStyle = color;
+      ctx.beginPath();
+      ctx.arc(x(i), y(values[i]), 1.5, 0, Math.PI * 2);
+      ctx.fill();
+    };
+
+    const { min_index, max_index } = extent(values);
+    if (values.length > 1) {
+      dot(min_index, extreme_color);
+      dot(max_index, extreme_color);
+    }
+    if (Number.isFinite(values[values.length - 1])) {
+      dot(values.length - 1, current_color);
+    }
+  }
+}
+
+export class TimeSeriesChart {
+  /**
+   * @param {HTMLCanvasElement} canvas
+   * @param {Object} [options]
+   * @param {number[]} [options.domain] - Fixed [min, max]; omitted = scale to the data
+   * @param {Function} [options.format] - Value → label text
+   */
+  constructor(canvas, options = {}) {
+    this.canvas = canvas;
+    this.domain = options.domain || null;
+    this.format = options.format || ((value) => value.toFixed(2));
+  }
+
+  /**
+   * Change what is plotted (the chart panel reuses one canvas for every metric)
+   */
+  setOptions(options = {}) {
+    this.domain = options.domain || null;
+    this.format = options.format || ((value) => value.toFixed(2));
+  }
+
+  /**
+   * Draw values against their step numbers (both oldest first)
+   */
+  draw(steps, values) {
+    const { ctx, width, height } = prepareCanvas(this.canvas);
+
+    const text_color = cssColor(this.canvas, '--color-text-secondary', '#6B5D52');
+    const axis_color = cssColor(this.canvas, '--color-border-strong', 'rgba(42, 36, 32, 0.2)');
+    const line_color = cssColor(this.canvas, '--color-text-primary', '#2A2420');
+    const current_color = cssColor(this.canvas, '--color-error', '#B85C5C');
+    const font = cssColor(this.canvas, '--font-mono', 'monospace');
+
+    ctx.font = `11px ${font}`;
+    ctx.fillStyle = text_color;
+
+    if (values.length === 0) {
+      ctx.textAlign = 'center';
+      ctx.textBaseline = 'middle';
+      ctx.fillText('No data yet', width / 2, height / 2);
+      return;
+    }
+
+    const domain = resolveDomain(values, this.domain);
+    const max_label = this.format(domain.max);
+    const min_label = this.format(domain.min);
+    const label_width = Math.max(ctx.measureText(max_label).width, ctx.measureText(min_label).width);
+
+    const box = {
+      x: label_width + 8,
+      y: 6,
+      width: width - label_width - 8 - 48, // Right margin for the current value
+      height: height - 6 - 18 // Bottom margin for step labels
+    };
+
+    // Range frame: axes span only the data range (Tufte)
+    ctx.strokeStyle = axis_color;
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.moveTo(box.x - 4, box.y);
+    ctx.lineTo(box.x - 4, box.y + box.height);
+    ctx.moveTo(box.x, box.y + box.height + 4);
+    ctx.lineTo(box.x + box.width, box.y + box.height + 4);
+    ctx.stroke();
+
+    // Y labels
+    ctx.textAlign = 'right';
+    ctx.textBaseline = 'top';
+    ctx.fillText(max_label, box.x - 8, box.y - 2);
+    ctx.textBaseline = 'bottom';
+    ctx.fillText(min_label, box.x - 8, box.y + box.height + 2);
+
+    // X labels
+    ctx.textBaseline = 'top';
+    ctx.textAlign = 'left';
+    ctx.fillText(`step ${steps[0]}`, box.x, box.y + box.height + 6);
+    ctx.textAlign = 'right';
+    ctx.fillText(`${steps[steps.length - 1]}`, box.x + box.width, box.y + box.height + 6);
+
+    // Series
+    ctx.strokeStyle = line_color;
+    ctx.lineWidth = 1.25;
+    ctx.lineJoin = 'round';
+    const { x, y } = traceLine(ctx, values, box, domain);
+
+    // Current value
+    const last = values.length - 1;
+    if (Number.isFinite(values[last])) {
+      ctx.fillStyle = current_color;
+      ctx.beginPath();
+      ctx.arc(x(last), y(values[last]), 2.5, 0, Math.PI * 2);
+      ctx.fill();
+
+      ctx.textAlign = 'left';
+      ctx.textBaseline = 'middle';
+      ctx.fillText(this.format(values[last]), x(last) + 6, y(values[last]));
+    }
+  }
+}
+
+export default Sparkline;
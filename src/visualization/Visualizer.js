@@ -302,6 +302,24 @@ export class Visualizer {
     return new THREE.Color().setHSL(hue / 360, saturation, lightness);
   }
 
+  /**
+   * Node size from follower count (logarithmic scale with power curve)
+   *
+   * Creates dramatic size differences: consumers tiny, influencers huge
+   */
+  getNodeSize(follower_count) {
+    const log_followers = Math.log10((follower_count || 1) + 1);
+
+    // Map to visual size range with power curve for exaggeration
+    const min_size = 1.5;  // Tiny consumers
+    const max_size = 25;   // Massive influencers (2x larger than before)
+
+    // Use power curve (^1.5) to exaggerate differences
+    const normalized = log_followers / 6; // 0-1 range
+    const curved = Math.pow(normalized, 1.5); // Exaggerate larger values
+    return min_size + curved * (max_size - min_size);
+  }
+
   /**
    * Get edge color based on medium and theme
    */
@@ -352,20 +370,7 @@ export class Visualizer {
     this.network_data.nodes.forEach((node) => {
       const color = this.getNodeColor(node);
       const integrity = node.getSystemIntegrity();
-
-      // Size based on follower count (logarithmic scale with power curve)
-      // Creates dramatic size differences: consumers tiny, influencers huge
-      const follower_count = node.follower_count || 1;
-      const log_followers = Math.log10(follower_count + 1);
-
-      // Map to visual size range with power curve for exaggeration
-      const min_size = 1.5;  // Tiny consumers
-      const max_size = 25;   // Massive influencers (2x larger than before)
-
-      // Use power curve (^1.5) to exaggerate differences
-      const normalized = log_followers / 6; // 0-1 range
-      const curved = Math.pow(normalized, 1.5); // Exaggerate larger values
-      const node_size = min_size + curved * (max_size - min_size);
+      const node_size = this.getNodeSize(node.follower_count);
 
       // Create circle texture with border encoding system integrity
       const canvas = document.createElement('canvas');
@@ -431,6 +436,7 @@ export class Visualizer {
       sprite.userData = {
         node: node,
         base_scale: node_size,
+        follower_count: node.follower_count,
         canvas: canvas,
         ctx: ctx
       };
@@ -561,6 +567,22 @@ export class Visualizer {
     });
   }
 
+  /**
+   * Replace the drawn edges with network_data.edges (after rewiring)
+   */
+  updateEdges() {
+    this.edge_lines.forEach((line) => {
+      this.scene.remove(line);
+      line.geometry.dispose();
+      line.material.dispose();
+    });
+    this.edge_lines = [];
+    this.edges_by_node.clear();
+    this.highlighted_edges.clear();
+
+    this.createEdges();
+  }
+
   /**
    * Create an edge line (straight or curved based on distance)
    */
@@ -718,7 +740,6 @@ export class Visualizer {
 
     this.node_meshes.forEach((sprite, node_id) => {
       const node = sprite.userData.node;
-      const base_scale = sprite.userData.base_scale;
       const canvas = sprite.userData.canvas;
       const ctx = sprite.userData.ctx;
 
@@ -771,8 +792,12 @@ export class Visualizer {
       // Tell Three.js to update the texture (no texture recreation!)
       sprite.material.map.needsUpdate = true;
 
-      // Keep base size (follower count doesn't change during simulation)
-      let scale = base_scale;
+      // Follower counts change as the network rewires
+      if (sprite.userData.follower_count !== node.follower_count) {
+        sprite.userData.follower_count = node.follower_count;
+        sprite.userData.base_scale = this.getNodeSize(node.follower_count);
+      }
+      let scale = sprite.userData.base_scale;
 
       // Pulsate if in double bind stress (intensity based on stress level)
       if (node.double_bind.in_double_bind && node.double_bind.S > 0.5) {
@@ -0,0 +1,175 @@
+/**
+ * SimulationClient.js
+ *
+ * Main-thread handle on the simulation worker
+ *
+ * Mirrors the parts of NetworkGenerator the UI uses - era, seed, step,
+ * nodes/edges for drawing, getMetrics() and getBreakdownMetrics() - so the
+ * stats panel and MetricsRecorder work with it unchanged. generate() and
+ * update() return promises; cancel() stops whatever the worker is doing.
+ */
+
+import { unpackNetwork, unpackNodeState, unpackEdges } from './protocol.js';
+
+/**
+ * Rejection reason for requests interrupted by cancel()
+ */
+function cancelledError() {
+  return new DOMException('Simulation cancelled', 'AbortError');
+}
+
+export class SimulationClient {
+  constructor() {
+    this.worker = null;
+    this.pending = new Map(); // request id → { resolve, reject, onProgress }
+    this.next_id = 0;
+    this.clear();
+  }
+
+  /**
+   * Forget the mirrored network
+   */
+  clear() {
+    this.era = null;
+    this.seed = null;
+    this.step = 0;
+    this.nodes = [];
+    this.edges = [];
+    this.config = null;
+    this.metrics = null;
+    this.breakdowns = null;
+  }
+
+  /**
+   * Start the worker on first use (and again after cancel())
+   */
+  ensureWorker() {
+    if (this.worker) return this.worker;
+
+    this.worker = new Worker(new URL('./simulation.worker.js', import.meta.url), { type: 'module' });
+    this.worker.onmessage = ({ data }) => this.handleMessage(data);
+    this.worker.onerror = (event) => {
+      event.preventDefault();
+      this.rejectAll(new Error(event.message || 'Simulation worker failed'));
+    };
+    return this.worker;
+  }
+
+  /**
+   * Send a request; resolves with the worker's reply
+   */
+  request(message, onProgress = null) {
+    const worker = this.ensureWorker();
+    const id = this.next_id++;
+
+    return new Promise((resolve, reject) => {
+      this.pending.set(id, { resolve, reject, onProgress });
+      worker.postMessage({ ...message, id });
+    });
+  }
+
+  /**
+   * Route a worker message to its request
+   */
+  handleMessage(data) {
+    const request = this.pending.get(data.id);
+    if (!request) return;
+
+    if (data.type === 'progress') {
+      if (request.onProgress) request.onProgress(data);
+      return;
+    }
+
+    this.pending.delete(data.id);
+    if (data.type === 'error') {
+      request.reject(new Error(data.message));
+    } else {
+      request.resolve(data);
+    }
+  }
+
+  rejectAll(error) {
+    this.pending.forEach(({ reject }) => reject(error));
+    this.pending.clear();
+  }
+
+  /**
+   * Generate a network in the worker
+   *
+   * @param {string} era - ERA_CONFIGS key
+   * @param {Object} [options]
+   * @param {number} [options.seed] - RNG seed (default: chosen by the worker)
+   * @param {Object} [options.config] - Era config overrides
+   * @param {Function} [options.onProgress] - Called with { phase, index, total }
+   * @returns {Promise<Object>} network_data ({ nodes, edges, config }) for Visualizer
+   */
+  async generate(era, options = {}) {
+    const reply = await this.request(
+      { type: 'generate', era, seed: options.seed ?? null, config: options.config },
+      options.onProgress
+    );
+
+    const network_data = unpackNetwork(reply.network);
+    this.era = reply.network.era;
+    this.seed = reply.network.seed;
+    this.step = reply.network.step;
+    this.nodes = network_data.nodes;
+    this.edges = network_data.edges;
+    this.config = network_data.config;
+    this.metrics = reply.metrics;
+    this.breakdowns = reply.breakdowns;
+
+    return network_data;
+  }
+
+  /**
+   * Advance the simulation; mirrored nodes are updated in place, and `edges`
+   * is replaced by a new array when rewiring changed the network
+   *
+   * @returns {Promise<Object>} getMetrics() after the last step
+   */
+  async update(dt = 1, steps = 1) {
+    const reply = await this.request({ type: 'update', dt, steps });
+
+    unpackNodeState(reply.state, this.nodes);
+    if (reply.edges) {
+      this.edges = unpackEdges(reply.edges);
+    }
+    this.step = reply.step;
+    this.metrics = reply.metrics;
+    this.breakdowns = reply.breakdowns;
+
+    return this.metrics;
+  }
+
+  getMetrics() {
+    return this.metrics;
+  }
+
+  getBreakdownMetrics() {
+    return this.breakdowns;
+  }
+
+  /**
+   * Stop the worker mid-task; pending requests reject with an AbortError
+   *
+   * The worker's network is lost with it, so the mirror is cleared too.
+   */
+  cancel() {
+    if (this.worker) {
+      this.worker.terminate();
+      this.worker = null;
+    }
+    this.rejectAll(cancelledError());
+    this.clear();
+  }
+
+  /**
+   * Release the worker
+   */
+  dispose() {
+    this.cancel();
+  }
+}
+
+export default SimulationClient;
@@ -0,0 +1,209 @@
+/**
+ * protocol.js
+ *
+ * Typed-array encoding of a network for transfer between the simulation
+ * worker and the main thread
+ *
+ * postMessage() structured-clones plain objects one property at a time; for
+ * 8,000 nodes and millions of edges that copy would freeze the UI as surely
+ * as generating on the main thread. Typed arrays are TRANSFERRED instead
+ * (ownership moves, nothing is copied).
+ *
+ * The main thread only draws the network, so it receives:
+ * - once, after generation: positions, edges and the fixed node attributes
+ *   (cognitive capacity)
+ * - after every update: the node state the visualization reads
+ *   (NODE_STATE_FIELDS - roles and follower counts included, as they change
+ *   every step), plus getMetrics() and getBreakdownMetrics()
+ * - after an update in which rewiring changed the network: all edges again
+ *
+ * The unpacked nodes are display mirrors: they carry those fields and the
+ * Node prototype (getVisibleStress(), getSystemIntegrity()), but the
+ * authoritative simulation state lives in the worker.
+ */
+
+import { Node } from '../core/Node.js';
+
+export const MEDIA = ['embodied', 'print', 'broadcast', 'internet', 'algorithmic'];
+export const ROLES = ['consumer', 'creator', 'broadcaster', 'influencer'];
+
+/**
+ * Per-step node state sent to the main thread, in packing order
+ */
+export const NODE_STATE_FIELDS = [
+  {
+    key: 'emotional_state',
+    get: (n) => n.emotional_state,
+    set: (n, v) => { n.emotional_state = v; }
+  },
+  {
+    key: 'cognitive_load',
+    get: (n) => n.cognitive_load,
+    set: (n, v) => { n.cognitive_load = v; }
+  },
+  {
+    key: 'regulatory_capacity',
+    get: (n) => n.regulatory_capacity,
+    set: (n, v) => { n.regulatory_capacity = v; }
+  },
+  {
+    key: 'system_coherence',
+    get: (n) => n.system_coherence,
+    set: (n, v) => { n.system_coherence = v; }
+  },
+  {
+    key: 'double_bind_S',
+    get: (n) => n.double_bind.S,
+    set: (n, v) => { n.double_bind.S = v; }
+  },
+  {
+    key: 'in_double_bind',
+    get: (n) => (n.double_bind.in_double_bind ? 1 : 0),
+    set: (n, v) => { n.double_bind.in_double_bind = v === 1; }
+  },
+  {
+    key: 'role',
+    get: (n) => ROLES.indexOf(n.role),
+    set: (n, v) => { n.role = ROLES[v]; }
+  },
+  {
+    key: 'is_influencer',
+    get: (n) => (n.is_influencer ? 1 : 0),
+    set: (n, v) => { n.is_influencer = v === 1; }
+  },
+  {
+    key: 'follower_count',
+    get: (n) => n.follower_count, // Exact in float32 up to 16.7 million
+    set: (n, v) => { n.follower_count = v; }
+  }
+];
+
+/**
+ * Pack the per-step node state into one Float32Array (node-major)
+ */
+export function packNodeState(nodes) {
+  const stride = NODE_STATE_FIELDS.length;
+  const state = new Float32Array(nodes.length * stride);
+
+  nodes.forEach((node, i) => {
+    NODE_STATE_FIELDS.forEach((field, f) => {
+      state[i * stride + f] = field.get(node);
+    });
+  });
+
+  return state;
+}
+
+/**
+ * Write packed node state into existing node objects
+ */
+export function unpackNodeState(state, nodes) {
+  const stride = NODE_STATE_FIELDS.length;
+
+  nodes.forEach((node, i) => {
+    NODE_STATE_FIELDS.forEach((field, f) => {
+      field.set(node, state[i * stride + f]);
+    });
+  });
+}
+
+/**
+ * Pack edges as parallel typed arrays
+ */
+export function packEdges(edges) {
+  const edge_source = new Uint32Array(edges.length);
+  const edge_target = new Uint32Array(edges.length);
+  const edge_medium = new Uint8Array(edges.length);
+  const edge_strength = new Float32Array(edges.length);
+
+  edges.forEach((edge, i) => {
+    edge_source[i] = edge.source;
+    edge_target[i] = edge.target;
+    edge_medium[i] = MEDIA.indexOf(edge.medium);
+    edge_strength[i] = edge.strength;
+  });
+
+  return { edge_source, edge_target, edge_medium, edge_strength };
+}
+
+/**
+ * Rebuild edge objects from packEdges() output
+ */
+export function unpackEdges(packed) {
+  const edges = new Array(packed.edge_source.length);
+  for (let i = 0; i < edges.length; i++) {
+    edges[i] = {
+      source: packed.edge_source[i],
+      target: packed.edge_target[i],
+      medium: MEDIA[packed.edge_medium[i]],
+      strength: packed.edge_strength[i]
+    };
+  }
+  return edges;
+}
+
+/**
+ * Pack a generated network (worker side)
+ */
+export function packNetwork(generator) {
+  const { nodes } = generator;
+  const n = nodes.length;
+
+  const positions = new Float32Array(n * 3);
+  const cognitive_capacity = new Float32Array(n);
+
+  nodes.forEach((node, i) => {
+    positions[i * 3] = node.position.x;
+    positions[i * 3 + 1] = node.position.y;
+    positions[i * 3 + 2] = node.position.z;
+    cognitive_capacity[i] = node.cognitive_capacity;
+  });
+
+  return {
+    era: generator.era,
+    seed: generator.seed,
+    step: generator.step,
+    config: generator.config,
+    positions,
+    cognitive_capacity,
+    ...packEdges(generator.edges),
+    state: packNodeState(nodes)
+  };
+}
+
+/**
+ * Buffers to transfer (rather than copy) with a packed message
+ */
+export function transferables(packed) {
+  return Object.values(packed)
+    .filter((value) => ArrayBuffer.isView(value))
+    .map((value) => value.buffer);
+}
+
+/**
+ * Rebuild display nodes and edges (main thread side)
+ *
+ * @returns {{ nodes: Node[], edges: Object[], config: Object }} The shape
+ *   NetworkGenerator.generate() returns, as consumed by Visualizer
+ */
+export function unpackNetwork(packed) {
+  const n = packed.cognitive_capacity.length;
+  const nodes = new Array(n);
+
+  for (let i = 0; i < n; i++) {
+    const node = Object.create(Node.prototype);
+    node.id = i;
+    node.position = {
+      x: packed.positions[i * 3],
+      y: packed.positions[i * 3 + 1],
+      z: packed.positions[i * 3 + 2]
+    };
+    node.cognitive_capacity = packed.cognitive_capacity[i];
+    node.double_bind = { in_double_bind: false, S: 0 };
+    nodes[i] = node;
+  }
+
+  unpackNodeState(packed.state, nodes);
+
+  return { nodes, edges: unpackEdges(packed), config: packed.config };
+}
@@ -0,0 +1,97 @@
+/**
+ * simulation.worker.js
+ *
+ * Runs NetworkGenerator off the main thread
+ *
+ * Generation (embodied neighbour search, force-directed layout) and update()
+ * steps take from hundreds of milliseconds to tens of seconds. Run on the
+ * main thread they freeze the page; here the UI keeps rendering and shows
+ * per-phase progress.
+ *
+ * Messages in (each with a request id):
+ *   { type: 'generate', id, era, seed, config }
+ *   { type: 'update', id, dt, steps }
+ *
+ * Messages out:
+ *   { type: 'progress', id, phase, index, total }    - per generate() phase
+ *   { type: 'generated', id, network, metrics, breakdowns }
+ *   { type: 'state', id, step, state, edges, metrics, breakdowns }
+ *     (edges: packEdges() output when rewiring changed them, else null)
+ *   { type: 'error', id, message }
+ *
+ * Cancelling is done by terminating the worker (see SimulationClient): a
+ * generate() call is synchronous and cannot observe a message mid-run.
+ */
+
+import { NetworkGenerator } from '../core/NetworkGenerator.js';
+import { packNetwork, packNodeState, packEdges, transferables } from './protocol.js';
+
+let generator = null;
+let sent_edge_revision = 0; // generator.edge_revision the main thread has drawn
+
+/**
+ * Generate a network and send it back as typed arrays
+ */
+function generate({ id, era, seed, config }) {
+  generator = new NetworkGenerator(era, seed, {
+    config,
+    onProgress: (progress) => self.postMessage({ type: 'progress', id, ...progress })
+  });
+  generator.generate();
+  sent_edge_revision = generator.edge_revision;
+
+  const network = packNetwork(generator);
+  self.postMessage({
+    type: 'generated',
+    id,
+    network,
+    metrics: generator.getMetrics(),
+    breakdowns: generator.getBreakdownMetrics()
+  }, transferables(network));
+}
+
+/**
+ * Advance the simulation and send back the new node state
+ */
+function update({ id, dt = 1, steps = 1 }) {
+  if (!generator) {
+    throw new Error('No network has been generated');
+  }
+
+  for (let i = 0; i < steps; i++) {
+    generator.update(dt);
+  }
+
+  const state = packNodeState(generator.nodes);
+
+  // Rewiring changed the network: send all of it again
+  let edges = null;
+  if (generator.edge_revision !== sent_edge_revision) {
+    edges = packEdges(generator.edges);
+    sent_edge_revision = generator.edge_revision;
+  }
+
+  self.postMessage({
+    type: 'state',
+    id,
+    step: generator.step,
+    state,
+    edges,
+    metrics: generator.getMetrics(),
+    breakdowns: generator.getBreakdownMetrics()
+  }, [state.buffer, ...(edges ? transferables(edges) : [])]);
+}
+
+const HANDLERS = { generate, update };
+
+self.onmessage = ({ data }) => {
+  try {
+    const handler = HANDLERS[data.type];
+    if (!handler) {
+      throw new Error(`Unknown message type: ${data.type}`);
+    }
+    handler(data);
+  } catch (error) {
+    self.postMessage({ type: 'error', id: data.id, message: error.message });
+  }
+};
@@ -0,0 +1,54 @@
+/**
+ * cli.test.js
+ *
+ * Option validation of the command-line tools, and the seeds they accept
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+import { createSeededRNG } from '../src/core/random.js';
+
+function run(script, args) {
+  const path = fileURLToPath(new URL(`../src/cli/${script}.js`, import.meta.url));
+  return spawnSync(process.execPath, [path, ...args], { encoding: 'utf8', timeout: 30000 });
+}
+
+test('simulate rejects negative, fractional and non-numeric seeds and steps', () => {
+  [
+    ['--seed=-1', '--seed must be a non-negative integer'],
+    ['--seed=1.5', '--seed must be a non-negative integer'],
+    ['--steps=ten', '--steps must be a non-negative integer']
+  ].forEach(([arg, message]) => {
+    const result = run('simulate', ['--era', 'oral_culture', arg]);
+    assert.equal(result.status, 1, arg);
+    assert.match(result.stderr, new RegExp(`^Error: ${message}`), arg);
+  });
+});
+
+test('sweep rejects negative and fractional seeds', () => {
+  ['--seed=-3', '--seed=1.5'].forEach((arg) => {
+    const result = run('sweep', ['--era', 'oral_culture', '--param', 'reshare_probability', arg]);
+    assert.equal(result.status, 1, arg);
+    assert.match(result.stderr, /^Error: --seed must be a non-negative integer/, arg);
+  });
+});
+
+test('createSeededRNG stays in [0, 1) for negative seeds', () => {
+  [-1, -100000000, -4294967296 * 3 - 5].forEach((seed) => {
+    const rng = createSeededRNG(seed);
+    for (let i = 0; i < 1000; i++) {
+      const value = rng();
+      assert.ok(value >= 0 && value < 1, `seed ${seed}: ${value}`);
+    }
+  });
+
+  // Resuming from a saved state continues the same sequence
+  const rng = createSeededRNG(42);
+  rng();
+  const state = rng.getState();
+  const next = [rng(), rng()];
+  rng.setState(state);
+  assert.deepEqual([rng(), rng()], next);
+});
@@ -0,0 +1,102 @@
+/**
+ * spatial.test.js
+ *
+ * The spatial indexes against the brute-force computations they replace:
+ * SpatialGrid.nearest against a full sort, QuadTree at theta = 0 against the
+ * pairwise repulsion sum.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SpatialGrid } from '../src/core/SpatialGrid.js';
+import { QuadTree } from '../src/core/QuadTree.js';
+import { createSeededRNG } from '../src/core/random.js';
+
+/**
+ * Random points in a square, with some coincident points and a dense cluster
+ * so that distance ties and deep cells are exercised
+ */
+function createPoints(count, seed) {
+  const rng = createSeededRNG(seed);
+  const points = [];
+  for (let i = 0; i < count; i++) {
+    if (i % 10 === 9) {
+      points.push({ ...points[Math.floor(rng() * points.length)] });
+    } else if (i % 4 === 0) {
+      points.push({ x: 50 + rng(), y: 50 + rng() });
+    } else {
+      points.push({ x: rng() * 200 - 100, y: rng() * 200 - 100 });
+    }
+  }
+  return points;
+}
+
+function bruteNearest(points, origin, k, exclude) {
+  return points
+    .map((p, index) => ({
+      index,
+      distance: Math.sqrt(Math.pow(origin.x - p.x, 2) + Math.pow(origin.y - p.y, 2))
+    }))
+    .filter(({ index }) => index !== exclude)
+    .sort((a, b) => a.distance - b.distance || a.index - b.index)
+    .slice(0, k);
+}
+
+function pairwiseRepulsion(points, index, { strength, cutoff }) {
+  const force = { x: 0, y: 0 };
+  points.forEach((p, other) => {
+    if (other === index) return;
+    const dx = points[index].x - p.x;
+    const dy = points[index].y - p.y;
+    const distance = Math.sqrt(dx * dx + dy * dy) + 0.01;
+    if (distance < cutoff) {
+      const repulsion = strength / (distance * distance);
+      force.x += (dx / distance) * repulsion;
+      force.y += (dy / distance) * repulsion;
+    }
+  });
+  return force;
+}
+
+test('SpatialGrid.nearest matches a full sort, ties by index', () => {
+  const points = createPoints(500, 11);
+  const grid = new SpatialGrid(points);
+
+  points.forEach((point, index) => {
+    [1, 7, 40].forEach((k) => {
+      const expected = bruteNearest(points, point, k, index);
+      const actual = grid.nearest(point, k, index);
+      assert.deepEqual(
+        actual.map(({ index }) => index),
+        expected.map(({ index }) => index),
+        `point ${index}, k ${k}`
+      );
+    });
+  });
+});
+
+test('SpatialGrid.nearest handles queries outside the grid and k beyond the population', () => {
+  const points = createPoints(60, 3);
+  const grid = new SpatialGrid(points);
+
+  const origin = { x: 500, y: -400 };
+  assert.deepEqual(grid.nearest(origin, 5), bruteNearest(points, origin, 5, -1));
+  assert.equal(grid.nearest(points[0], 100, 0).length, 59);
+  assert.deepEqual(grid.nearest(points[0], 0), []);
+});
+
+test('QuadTree at theta = 0 reproduces pairwise repulsion', () => {
+  const points = createPoints(400, 23);
+  const tree = new QuadTree(points);
+
+  [{ strength: 50, cutoff: 30 }, { strength: 1, cutoff: Infinity }].forEach(({ strength, cutoff }) => {
+    points.forEach((_, index) => {
+      const expected = pairwiseRepulsion(points, index, { strength, cutoff });
+      const actual = tree.repulsion(index, { strength, cutoff, theta: 0 });
+      // Same terms, summed in a different order
+      const scale = Math.max(1, Math.hypot(expected.x, expected.y));
+      assert.ok(Math.abs(actual.x - expected.x) <= 1e-9 * scale, `point ${index} x`);
+      assert.ok(Math.abs(actual.y - expected.y) <= 1e-9 * scale, `point ${index} y`);
+    });
+  });
+});
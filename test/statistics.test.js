@@ -0,0 +1,73 @@
+/**
+ * statistics.test.js
+ *
+ * Experiment summaries against published values: Student's t tables, R's
+ * default (type 7) quantiles.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  mean,
+  standardDeviation,
+  quantile,
+  normalQuantile,
+  tCritical,
+  confidenceInterval,
+  quantileLabel,
+  summarize
+} from '../src/analysis/statistics.js';
+
+function assertClose(actual, expected, tolerance, message) {
+  assert.ok(Math.abs(actual - expected) <= tolerance, `${message}: ${actual} vs ${expected}`);
+}
+
+test('tCritical gives exact table values for small df', () => {
+  assert.equal(tCritical(1), 12.706);
+  assert.equal(tCritical(4), 2.776);
+  assert.equal(tCritical(30), 2.042);
+  assert.equal(tCritical(1, 0.9), 6.314);
+  assert.equal(tCritical(10, 0.99), 3.169);
+});
+
+test('tCritical stays within 0.5% of exact values beyond the table', () => {
+  [[40, 0.95, 2.021], [60, 0.95, 2.0], [120, 0.95, 1.98], [60, 0.99, 2.66], [5, 0.8, 1.476]]
+    .forEach(([df, confidence, exact]) => {
+      assertClose(tCritical(df, confidence), exact, 0.005 * exact, `df ${df} at ${confidence}`);
+    });
+  assertClose(tCritical(Infinity), 1.959964, 1e-6, 'infinite df');
+});
+
+test('normalQuantile inverts the standard normal CDF', () => {
+  assertClose(normalQuantile(0.975), 1.959964, 1e-6, 'p 0.975');
+  assertClose(normalQuantile(0.01), -2.326348, 1e-6, 'p 0.01');
+  assert.equal(normalQuantile(0.5), 0);
+  assert.equal(normalQuantile(0), -Infinity);
+});
+
+test('quantiles interpolate between order statistics (type 7)', () => {
+  const values = [5, 1, 4, 2, 3];
+  assert.equal(quantile(values, 0), 1);
+  assert.equal(quantile(values, 0.25), 2);
+  assert.equal(quantile([1, 2, 3, 4], 0.5), 2.5);
+  assert.equal(quantile([1, 2, 3, 4], 0.1), 1.3);
+  assert.equal(quantileLabel(0.05), 'p05');
+  assert.equal(quantileLabel(0.975), 'p97_5');
+});
+
+test('summarize reports moments, quantiles and a t interval', () => {
+  const values = [2, 4, 4, 4, 5, 5, 7, 9];
+  const summary = summarize(values, { quantiles: [0.5] });
+
+  assert.equal(summary.n, 8);
+  assert.equal(summary.mean, mean(values));
+  assert.equal(summary.mean, 5);
+  assertClose(summary.std, standardDeviation(values), 0, 'std');
+  assertClose(summary.std, Math.sqrt(32 / 7), 1e-12, 'sample std');
+  assert.equal(summary.p50, 4.5);
+
+  const half_width = 2.365 * Math.sqrt(32 / 7) / Math.sqrt(8);
+  assertClose(summary.ci_low, 5 - half_width, 1e-12, 'ci_low');
+  assertClose(summary.ci_high, 5 + half_width, 1e-12, 'ci_high');
+  assert.deepEqual(confidenceInterval([3]), { low: 3, high: 3 });
+});